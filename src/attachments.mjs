@@ -0,0 +1,112 @@
+/**
+ * Attachment-Helfer
+ *
+ * Ermittelt Anhänge aus der IMAP BODYSTRUCTURE, damit einzelne MIME-Teile
+ * per BODY[part] geladen werden können, ohne die ganze Mail herunterzuladen.
+ *
+ * Die Reihenfolge entspricht der von mailparser (imap_read_email):
+ * alle Blatt-Teile in Tiefensuche, außer text/plain und text/html Bodies.
+ * Den Text-Body liefert findTextPart (Auszüge in imap_get_thread).
+ */
+
+// text/plain bzw. text/html, der nicht als Anhang markiert ist
+function isBodyPart(node) {
+  const disposition = (node.disposition?.type || "").toLowerCase();
+  return node.type === "text" && (node.subtype === "plain" || node.subtype === "html") && disposition !== "attachment";
+}
+
+/**
+ * Alle Anhang-Teile aus einer node-imap BODYSTRUCTURE sammeln
+ */
+export function listAttachmentParts(struct, parts = []) {
+  for (const node of struct || []) {
+    if (Array.isArray(node)) {
+      listAttachmentParts(node, parts);
+      continue;
+    }
+
+    // Multipart-Container haben keine partID
+    if (!node || !node.partID) continue;
+    if (isBodyPart(node)) continue;
+
+    parts.push({
+      partID: node.partID,
+      contentType: `${node.type}/${node.subtype}`,
+      filename: node.disposition?.params?.filename || node.params?.name || null,
+      contentId: node.id ? node.id.replace(/^<|>$/g, "") : null,
+      encoding: (node.encoding || "7bit").toLowerCase(),
+      // Größe des kodierten Teils (base64 ist ca. 4/3 größer als der Inhalt)
+      encodedSize: node.size || 0,
+    });
+  }
+  return parts;
+}
+
+/**
+ * Text-Body aus einer node-imap BODYSTRUCTURE: der erste text/plain Teil,
+ * sonst der erste text/html Teil, null wenn es keinen gibt
+ */
+export function findTextPart(struct) {
+  const bodies = [];
+  const walk = (nodes) => {
+    for (const node of nodes || []) {
+      if (Array.isArray(node)) walk(node);
+      else if (node?.partID && isBodyPart(node)) bodies.push(node);
+    }
+  };
+  walk(struct);
+
+  const node = bodies.find((b) => b.subtype === "plain") || bodies[0];
+  if (!node) return null;
+  return {
+    partID: node.partID,
+    contentType: `${node.type}/${node.subtype}`,
+    charset: node.params?.charset || "utf-8",
+    encoding: (node.encoding || "7bit").toLowerCase(),
+    encodedSize: node.size || 0,
+  };
+}
+
+/**
+ * Geschätzte dekodierte Größe eines Teils
+ */
+export function estimateDecodedSize(part) {
+  return part.encoding === "base64"
+    ? Math.floor((part.encodedSize * 3) / 4)
+    : part.encodedSize;
+}
+
+/**
+ * Rohinhalt eines MIME-Teils dekodieren. Gibt null zurück, wenn die
+ * Kodierung nicht unterstützt wird (Aufrufer lädt dann die ganze Mail).
+ */
+export function decodePartBody(raw, encoding) {
+  switch (encoding) {
+    case "base64":
+      return Buffer.from(raw.toString("latin1").replace(/\s+/g, ""), "base64");
+    case "7bit":
+    case "8bit":
+    case "binary":
+      return raw;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Anhang per Index oder Content-ID auswählen
+ */
+export function selectAttachment(attachments, { index, contentId }) {
+  if (contentId) {
+    const cid = contentId.replace(/^<|>$/g, "");
+    const found = attachments.findIndex((a) => a.contentId === cid);
+    if (found < 0) throw new Error(`No attachment with Content-ID '${contentId}'`);
+    return { attachment: attachments[found], index: found };
+  }
+
+  const i = index ?? 0;
+  if (i < 0 || i >= attachments.length) {
+    throw new Error(`Attachment index ${i} out of range (message has ${attachments.length} attachment(s))`);
+  }
+  return { attachment: attachments[i], index: i };
+}
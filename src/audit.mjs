@@ -0,0 +1,150 @@
+/**
+ * Audit-Log für verändernde Tool-Aufrufe
+ *
+ * Jeder Aufruf eines nicht rein lesenden Tools wird als eine JSON-Zeile an
+ * DATA_DIR/audit.jsonl angehängt (wer, wann, welches Tool, Account, Ordner,
+ * UIDs, Message-IDs, Ergebnis). Mail-Inhalte (text, html, Anhänge) werden
+ * nicht protokolliert.
+ *
+ * Rotation: überschreitet die Datei AUDIT_MAX_BYTES, wird sie zu
+ * audit.jsonl.1 (ältere zu .2, ...). Neben der aktuellen Datei bleiben
+ * maximal AUDIT_KEEP_FILES rotierte Dateien erhalten.
+ *
+ * ENV:
+ *   AUDIT_FILE=./data/audit.jsonl
+ *   AUDIT_MAX_BYTES=10485760
+ *   AUDIT_KEEP_FILES=5         Anzahl rotierter Dateien (.1 bis .5)
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, statSync } from "fs";
+import { dirname, join, resolve } from "path";
+import { config } from "./config.mjs";
+import { TOOL_GROUPS } from "./permissions.mjs";
+
+const AUDIT_FILE = resolve(process.env.AUDIT_FILE || join(config.dataDir, "audit.jsonl"));
+const MAX_BYTES = Number(process.env.AUDIT_MAX_BYTES || 10 * 1024 * 1024);
+const KEEP_FILES = Number(process.env.AUDIT_KEEP_FILES || 5);
+
+// Lesende Tools und das Audit selbst werden nicht protokolliert
+const NOT_AUDITED = new Set([...TOOL_GROUPS.read, ...TOOL_GROUPS.admin]);
+
+// Argumente, die ins Log übernommen werden (keine Inhalte)
+const ARG_FIELDS = [
+  "account", "folder", "sourceFolder", "targetFolder", "newName", "uid", "uids", "messageId",
+  "to", "cc", "bcc", "subject", "mode", "replyAll", "permanent", "all", "dryRun", "id", "ruleIds",
+  "criteria", "add", "remove", "flags", "maxMessages", "identity", "templateId", "sendAt",
+];
+
+// Ergebnisfelder, die ins Log übernommen werden
+const RESULT_FIELDS = [
+  "action", "uid", "uids", "from", "to", "folder", "targetFolder", "trashFolder", "trashUid",
+  "messageId", "originalMessageId", "inReplyTo", "count", "total", "succeeded", "failed", "error",
+  "status", "outboxId", "lastError",
+];
+
+export function isAudited(tool) {
+  return !NOT_AUDITED.has(tool);
+}
+
+function pick(object, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (object?.[field] !== undefined) picked[field] = object[field];
+  }
+  return picked;
+}
+
+// Alle Message-IDs aus Argumenten und Ergebnis (auch in results[]-Listen)
+function collectMessageIds(args, result) {
+  const ids = new Set();
+  for (const value of [args.messageId, result?.messageId, result?.originalMessageId]) {
+    if (typeof value === "string") ids.add(value);
+  }
+  for (const item of result?.results || []) {
+    if (typeof item.messageId === "string") ids.add(item.messageId);
+  }
+  for (const id of result?.messageIds || []) ids.add(id);
+  return [...ids];
+}
+
+function rotate() {
+  for (let i = KEEP_FILES - 1; i >= 1; i--) {
+    if (existsSync(`${AUDIT_FILE}.${i}`)) renameSync(`${AUDIT_FILE}.${i}`, `${AUDIT_FILE}.${i + 1}`);
+  }
+  renameSync(AUDIT_FILE, `${AUDIT_FILE}.1`);
+}
+
+/**
+ * Tool-Aufruf protokollieren. Fehler beim Schreiben werden geloggt, aber
+ * nicht an den Aufrufer weitergegeben.
+ *
+ * @param {Object} call { user, tool, args, result } (result = geparstes JSON der Tool-Antwort)
+ */
+export function recordAudit({ user, tool, args, result }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    user: user || "unknown",
+    tool,
+    account: args.account ?? null,
+    args: pick(args, ARG_FIELDS),
+    messageIds: collectMessageIds(args, result),
+    success: result?.success === true,
+    result: pick(result, RESULT_FIELDS),
+  };
+  const line = JSON.stringify(entry) + "\n";
+
+  try {
+    mkdirSync(dirname(AUDIT_FILE), { recursive: true });
+    if (existsSync(AUDIT_FILE) && statSync(AUDIT_FILE).size + Buffer.byteLength(line) > MAX_BYTES) rotate();
+    appendFileSync(AUDIT_FILE, line);
+  } catch (error) {
+    console.error(`[Audit] Could not write ${AUDIT_FILE}: ${error.message}`);
+  }
+}
+
+function matches(entry, filter) {
+  if (filter.user && entry.user !== filter.user) return false;
+  if (filter.account && entry.account !== filter.account) return false;
+  if (filter.tool && entry.tool !== filter.tool) return false;
+  if (filter.success !== undefined && entry.success !== filter.success) return false;
+  if (filter.since && entry.ts < filter.since) return false;
+  if (filter.until && entry.ts >= filter.until) return false;
+  if (filter.messageId && !entry.messageIds.includes(filter.messageId)) return false;
+  if (filter.folder) {
+    const { folder, sourceFolder, targetFolder } = entry.args;
+    if (![folder, sourceFolder, targetFolder, entry.result.folder].includes(filter.folder)) return false;
+  }
+  if (filter.uid !== undefined) {
+    const list = (value) => (Array.isArray(value) ? value : []);
+    const uids = [entry.args.uid, ...list(entry.args.uids), entry.result.uid, ...list(entry.result.uids), entry.result.trashUid];
+    if (!uids.includes(filter.uid)) return false;
+  }
+  return true;
+}
+
+/**
+ * Audit-Log durchsuchen, neueste Einträge zuerst (inkl. rotierter Dateien)
+ *
+ * @param {Object} filter { user, account, tool, folder, uid, messageId, success, since, until, limit }
+ */
+export function queryAudit({ limit = 100, ...filter } = {}) {
+  const entries = [];
+  const files = [AUDIT_FILE, ...Array.from({ length: KEEP_FILES }, (_, i) => `${AUDIT_FILE}.${i + 1}`)];
+
+  for (const file of files) {
+    if (!existsSync(file)) continue;
+    const lines = readFileSync(file, "utf8").split("\n").filter(Boolean).reverse();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // abgeschnittene Zeile (z.B. Absturz beim Schreiben)
+      }
+      if (!matches(entry, filter)) continue;
+      entries.push(entry);
+      if (entries.length >= limit) return entries;
+    }
+  }
+  return entries;
+}
@@ -7,7 +7,8 @@
  *   MCP_API_KEY=single-key                     (Abwärtskompatibel)
  *   MCP_API_KEYS=key1:alice,key2:bob,key3:carol  (Multi-User)
  *
- * Der Benutzername wird in req.apiUser gespeichert und geloggt.
+ * Der Benutzername wird in req.apiUser gespeichert und geloggt. req.auth
+ * reicht ihn an die MCP-Tool-Handler weiter (extra.authInfo.clientId).
  */
 
 // Parse API Keys aus Umgebungsvariablen
@@ -40,6 +41,7 @@ export function requireApiKey(req, res, next) {
   // Wenn keine Keys konfiguriert: offen (dev)
   if (apiKeys.size === 0) {
     req.apiUser = 'dev-mode';
+    req.auth = { token: '', clientId: req.apiUser, scopes: [] };
     return next();
   }
 
@@ -58,6 +60,7 @@ export function requireApiKey(req, res, next) {
 
   // User für Logging speichern
   req.apiUser = user;
+  req.auth = { token: got, clientId: user, scopes: [] };
   console.log(`[Auth] Request from user: ${user}`);
   next();
 }
@@ -0,0 +1,168 @@
+/**
+ * Compose-Helfer für Antworten und Weiterleitungen
+ *
+ * Reine Funktionen auf Basis einer mit mailparser geparsten Original-Mail:
+ * Empfänger, Betreff-Präfixe, Threading-Header (In-Reply-To/References)
+ * und zitierte Bodies.
+ */
+
+// Vorhandene Antwort-/Weiterleitungs-Präfixe (inkl. deutscher Varianten)
+const REPLY_PREFIX = /^\s*(re|aw|antw)\s*:/i;
+const FORWARD_PREFIX = /^\s*(fwd?|wg)\s*:/i;
+
+export function escapeHtml(value = "") {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// mailparser liefert AddressObject oder Array davon
+function addressList(field) {
+  if (!field) return [];
+  const objects = Array.isArray(field) ? field : [field];
+  return objects.flatMap((obj) => obj.value || []).filter((a) => a.address);
+}
+
+function formatAddress({ name, address }) {
+  return name ? `"${name.replace(/"/g, "'")}" <${address}>` : address;
+}
+
+function addressText(field) {
+  return addressList(field).map(formatAddress).join(", ");
+}
+
+export function replySubject(subject = "") {
+  return REPLY_PREFIX.test(subject) ? subject : `Re: ${subject}`;
+}
+
+export function forwardSubject(subject = "") {
+  return FORWARD_PREFIX.test(subject) ? subject : `Fwd: ${subject}`;
+}
+
+/**
+ * Threading-Header für Antwort/Weiterleitung
+ */
+export function threadingHeaders(parsed) {
+  const references = Array.isArray(parsed.references)
+    ? [...parsed.references]
+    : (parsed.references || "").split(/\s+/).filter(Boolean);
+
+  if (parsed.messageId && !references.includes(parsed.messageId)) {
+    references.push(parsed.messageId);
+  }
+
+  return {
+    inReplyTo: parsed.messageId || undefined,
+    references: references.length > 0 ? references : undefined,
+  };
+}
+
+/**
+ * Empfänger einer Antwort bestimmen.
+ * Reply: Reply-To bzw. From. Reply-All: zusätzlich alle To/Cc außer eigenen Adressen.
+ *
+ * @param {string[]} ownAddresses eigene Adressen (werden bei Reply-All ausgelassen)
+ */
+export function replyRecipients(parsed, { replyAll = false, ownAddresses = [] } = {}) {
+  const own = new Set(ownAddresses.map((a) => a.toLowerCase()));
+  const seen = new Set();
+  const take = (addresses) =>
+    addresses.filter((a) => {
+      const key = a.address.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const primary = addressList(parsed.replyTo).length > 0 ? addressList(parsed.replyTo) : addressList(parsed.from);
+  const to = take(primary);
+
+  let cc = [];
+  if (replyAll) {
+    // Eigene Adressen nicht erneut anschreiben
+    for (const address of own) seen.add(address);
+    cc = take([...addressList(parsed.to), ...addressList(parsed.cc)]);
+  }
+
+  return {
+    to: to.map(formatAddress).join(", "),
+    cc: cc.length > 0 ? cc.map(formatAddress).join(", ") : undefined,
+  };
+}
+
+/**
+ * Signatur an einen Body anhängen (Text mit "-- " Trenner). Ohne HTML-Signatur
+ * wird die Text-Signatur für den HTML-Teil escaped übernommen.
+ */
+export function withSignature({ text = "", html } = {}, signature) {
+  if (!signature?.text && !signature?.html) return { text, html };
+
+  const signatureText = signature.text ?? "";
+  const signatureHtml = signature.html ?? escapeHtml(signatureText).replace(/\n/g, "<br>");
+  return {
+    // Leerer Text neben HTML bleibt leer (reine HTML-Mail)
+    text: signatureText && (text || !html) ? `${text}\n\n-- \n${signatureText}` : text,
+    html: html ? `${html}<br><br>-- <br>${signatureHtml}` : html,
+  };
+}
+
+function attribution(parsed) {
+  const date = parsed.date ? parsed.date.toUTCString() : "an unknown date";
+  return `On ${date}, ${addressText(parsed.from) || "unknown sender"} wrote:`;
+}
+
+/**
+ * Antwort-Body mit zitierter Original-Mail
+ */
+export function quoteReply(parsed, { text = "", html } = {}) {
+  const quotedText = (parsed.text || "")
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join("\n");
+  const originalHtml = parsed.html || parsed.textAsHtml || "";
+
+  return {
+    text: `${text}\n\n${attribution(parsed)}\n${quotedText}`,
+    html:
+      html || originalHtml
+        ? `${html || escapeHtml(text).replace(/\n/g, "<br>")}<br><br>` +
+          `<div>${escapeHtml(attribution(parsed))}</div>` +
+          `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${originalHtml}</blockquote>`
+        : undefined,
+  };
+}
+
+function forwardHeaderLines(parsed) {
+  return [
+    ["From", addressText(parsed.from)],
+    ["Date", parsed.date ? parsed.date.toUTCString() : ""],
+    ["Subject", parsed.subject || ""],
+    ["To", addressText(parsed.to)],
+    ["Cc", addressText(parsed.cc)],
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Body einer Inline-Weiterleitung (Original unter einem Trenner)
+ */
+export function forwardInline(parsed, { text = "", html } = {}) {
+  const headerLines = forwardHeaderLines(parsed);
+  const separator = "---------- Forwarded message ----------";
+  const originalHtml = parsed.html || parsed.textAsHtml || "";
+
+  return {
+    text:
+      `${text}\n\n${separator}\n` +
+      headerLines.map(([name, value]) => `${name}: ${value}`).join("\n") +
+      `\n\n${parsed.text || ""}`,
+    html:
+      html || originalHtml
+        ? `${html || escapeHtml(text).replace(/\n/g, "<br>")}<br><br>` +
+          `<div>${separator}<br>` +
+          headerLines.map(([name, value]) => `${name}: ${escapeHtml(value)}`).join("<br>") +
+          `</div><br>${originalHtml}`
+        : undefined,
+  };
+}
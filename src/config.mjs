@@ -1,18 +1,154 @@
 import dotenv from "dotenv";
+import { existsSync, readFileSync, watchFile } from "fs";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { dirname, join, resolve, extname } from "path";
+import YAML from "yaml";
+import { z } from "zod";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, "..", ".env") });
 
-export const config = {
-  port: Number(process.env.PORT || 8001),
-  apiKey: process.env.MCP_API_KEY || "",
+// ============================================================================
+// Account Registry
+// ============================================================================
+
+/**
+ * Schema eines Accounts in der Accounts-Datei (JSON oder YAML).
+ *
+ * Beispiel (accounts.yml):
+ *   accounts:
+ *     onecom:
+ *       name: one.com
+ *       host: imap.one.com
+ *       user: me@example.com
+ *       passwordEnv: IMAP_ONECOM_PASSWORD
+ *       smtp:
+ *         host: send.one.com
+ */
+const smtpSchema = z.object({
+  host: z.string().min(1),
+  port: z.coerce.number().int().positive().default(465),
+  secure: z.boolean().default(true), // true for 465, false for 587
+});
+
+/**
+ * Absender-Identität eines Accounts (Anzeigename, Adresse, Reply-To, Signatur).
+ * Mit users nur für diese API-User nutzbar; deren erste Identität ist ihr Standard.
+ */
+const identitySchema = z.object({
+  id: z.string().regex(/^[a-z0-9_-]+$/i, "identity id may only contain letters, digits, '_' and '-'"),
+  name: z.string().min(1).optional(),
+  email: z.string().min(1).optional(), // Standard: user, sonst muss es eine der aliases sein
+  replyTo: z.string().min(1).optional(),
+  signature: z
+    .object({
+      text: z.string().optional(),
+      html: z.string().optional(),
+    })
+    .optional(),
+  users: z.array(z.string().min(1)).min(1).optional(),
+});
+
+const accountSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    host: z.string().min(1),
+    port: z.coerce.number().int().positive().default(993),
+    user: z.string().min(1),
+    password: z.string().optional(),
+    passwordEnv: z.string().optional(), // Passwort aus ENV statt im Klartext in der Datei
+    tls: z.boolean().default(true),
+    smtp: smtpSchema.optional(),
+    // Zusätzliche Absenderadressen (Aliase), die der SMTP-Server für den Login akzeptiert
+    aliases: z.array(z.string().min(1)).optional(),
+    // Absender-Identitäten, ohne Angabe: SMTP_FROM_NAME <user>
+    identities: z.array(identitySchema).min(1).optional(),
+    // Gesendete Mails per APPEND im Gesendet-Ordner ablegen
+    // (false bei Providern, die das selbst tun, z.B. Gmail)
+    saveSent: z.boolean().default(true),
+    // Spezialordner, sonst automatisch erkannt (SPECIAL-USE/XLIST, Ordnernamen)
+    sentFolder: z.string().optional(),
+    draftsFolder: z.string().optional(),
+    trashFolder: z.string().optional(),
+    junkFolder: z.string().optional(),
+    archiveFolder: z.string().optional(),
+    allFolder: z.string().optional(),
+    // Hintergrund-Watcher für neue Mails (IDLE) mit Webhook-Benachrichtigung
+    watch: z
+      .object({
+        folders: z.array(z.string().min(1)).min(1).default(["INBOX"]),
+        webhooks: z.array(z.url()).optional(), // sonst WEBHOOK_URLS
+      })
+      .optional(),
+    // Lokaler Suchindex (index_search), ohne folders werden alle Ordner indiziert
+    index: z
+      .object({
+        folders: z.array(z.string().min(1)).min(1).optional(),
+      })
+      .optional(),
+  })
+  .refine((acc) => acc.password || acc.passwordEnv, {
+    message: "either 'password' or 'passwordEnv' is required",
+  })
+  .superRefine((acc, ctx) => {
+    // Sonst fehlt der Account später stillschweigend (kein Passwort)
+    if (!acc.password && acc.passwordEnv && !process.env[acc.passwordEnv]) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["passwordEnv"],
+        message: `environment variable '${acc.passwordEnv}' is not set`,
+      });
+    }
 
-  // IMAP Accounts
-  accounts: {
+    const allowed = new Set([acc.user, ...(acc.aliases || [])].map((a) => a.toLowerCase()));
+    const ids = new Set();
+    (acc.identities || []).forEach((identity, i) => {
+      if (ids.has(identity.id)) {
+        ctx.addIssue({ code: "custom", path: ["identities", i, "id"], message: `duplicate identity id '${identity.id}'` });
+      }
+      ids.add(identity.id);
+      if (identity.email && !allowed.has(identity.email.toLowerCase())) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["identities", i, "email"],
+          message: `'${identity.email}' is neither the account user nor one of its aliases`,
+        });
+      }
+    });
+  });
+
+const accountsFileSchema = z.object({
+  accounts: z.record(
+    z.string().regex(/^[a-z0-9_-]+$/i, "account key may only contain letters, digits, '_' and '-'"),
+    accountSchema
+  ),
+});
+
+// Legacy: IMAP_xxx_WATCH=INBOX,Projekte aktiviert den Watcher für diese Ordner
+function watchFromEnv(prefix) {
+  const folders = (process.env[`${prefix}_WATCH`] || "")
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  return folders.length > 0 ? { folders } : undefined;
+}
+
+// Legacy: IMAP_xxx_INDEX=* (alle Ordner) oder INBOX,Gesendet aktiviert den lokalen Index
+function indexFromEnv(prefix) {
+  const value = (process.env[`${prefix}_INDEX`] || "").trim();
+  if (!value) return undefined;
+  if (value === "*") return {};
+  return { folders: value.split(",").map((f) => f.trim()).filter(Boolean) };
+}
+
+/**
+ * Legacy: die vier fest verdrahteten Accounts aus den IMAP_xxx und SMTP_xxx Variablen.
+ * Wird verwendet, wenn kein ACCOUNTS_FILE gesetzt ist.
+ */
+function loadAccountsFromEnv() {
+  return {
     onecom: {
       name: "one.com",
       host: process.env.IMAP_ONECOM_HOST || "imap.one.com",
@@ -26,6 +162,15 @@ export const config = {
         port: Number(process.env.SMTP_ONECOM_PORT || 465),
         secure: process.env.SMTP_ONECOM_SECURE !== "false", // true for 465, false for 587
       },
+      saveSent: process.env.IMAP_ONECOM_SAVE_SENT !== "false",
+      sentFolder: process.env.IMAP_ONECOM_SENT_FOLDER,
+      draftsFolder: process.env.IMAP_ONECOM_DRAFTS_FOLDER,
+      trashFolder: process.env.IMAP_ONECOM_TRASH_FOLDER,
+      junkFolder: process.env.IMAP_ONECOM_JUNK_FOLDER,
+      archiveFolder: process.env.IMAP_ONECOM_ARCHIVE_FOLDER,
+      allFolder: process.env.IMAP_ONECOM_ALL_FOLDER,
+      watch: watchFromEnv("IMAP_ONECOM"),
+      index: indexFromEnv("IMAP_ONECOM"),
     },
     gmx: {
       name: "GMX",
@@ -40,6 +185,15 @@ export const config = {
         port: Number(process.env.SMTP_GMX_PORT || 465),
         secure: process.env.SMTP_GMX_SECURE !== "false",
       },
+      saveSent: process.env.IMAP_GMX_SAVE_SENT !== "false",
+      sentFolder: process.env.IMAP_GMX_SENT_FOLDER,
+      draftsFolder: process.env.IMAP_GMX_DRAFTS_FOLDER,
+      trashFolder: process.env.IMAP_GMX_TRASH_FOLDER,
+      junkFolder: process.env.IMAP_GMX_JUNK_FOLDER,
+      archiveFolder: process.env.IMAP_GMX_ARCHIVE_FOLDER,
+      allFolder: process.env.IMAP_GMX_ALL_FOLDER,
+      watch: watchFromEnv("IMAP_GMX"),
+      index: indexFromEnv("IMAP_GMX"),
     },
     gmail: {
       name: "Gmail",
@@ -54,6 +208,15 @@ export const config = {
         port: Number(process.env.SMTP_GMAIL_PORT || 465),
         secure: process.env.SMTP_GMAIL_SECURE !== "false",
       },
+      saveSent: process.env.IMAP_GMAIL_SAVE_SENT === "true", // Gmail legt gesendete Mails selbst ab
+      sentFolder: process.env.IMAP_GMAIL_SENT_FOLDER,
+      draftsFolder: process.env.IMAP_GMAIL_DRAFTS_FOLDER,
+      trashFolder: process.env.IMAP_GMAIL_TRASH_FOLDER,
+      junkFolder: process.env.IMAP_GMAIL_JUNK_FOLDER,
+      archiveFolder: process.env.IMAP_GMAIL_ARCHIVE_FOLDER,
+      allFolder: process.env.IMAP_GMAIL_ALL_FOLDER,
+      watch: watchFromEnv("IMAP_GMAIL"),
+      index: indexFromEnv("IMAP_GMAIL"),
     },
     iserv: {
       name: "IServ BS:WI",
@@ -68,10 +231,132 @@ export const config = {
         port: Number(process.env.SMTP_ISERV_PORT || 465),
         secure: process.env.SMTP_ISERV_SECURE !== "false", // true for SSL on 465
       },
+      saveSent: process.env.IMAP_ISERV_SAVE_SENT !== "false",
+      sentFolder: process.env.IMAP_ISERV_SENT_FOLDER,
+      draftsFolder: process.env.IMAP_ISERV_DRAFTS_FOLDER,
+      trashFolder: process.env.IMAP_ISERV_TRASH_FOLDER,
+      junkFolder: process.env.IMAP_ISERV_JUNK_FOLDER,
+      archiveFolder: process.env.IMAP_ISERV_ARCHIVE_FOLDER,
+      allFolder: process.env.IMAP_ISERV_ALL_FOLDER,
+      watch: watchFromEnv("IMAP_ISERV"),
+      index: indexFromEnv("IMAP_ISERV"),
     },
-  },
+  };
+}
+
+/**
+ * Accounts aus Datei laden und validieren. Wirft bei ungültigem Inhalt.
+ */
+function loadAccountsFromFile(file) {
+  const raw = readFileSync(file, "utf8");
+  const ext = extname(file).toLowerCase();
+  const data = ext === ".yml" || ext === ".yaml" ? YAML.parse(raw) : JSON.parse(raw);
+
+  const parsed = accountsFileSchema.safeParse(data);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`)
+      .join("; ");
+    throw new Error(`Invalid accounts file ${file}: ${issues}`);
+  }
+
+  const accounts = {};
+  for (const [key, acc] of Object.entries(parsed.data.accounts)) {
+    const { passwordEnv, ...rest } = acc;
+    accounts[key] = {
+      ...rest,
+      name: acc.name || key,
+      password: acc.password || process.env[passwordEnv],
+      identities: acc.identities?.map((identity) => ({ ...identity, email: identity.email || acc.user })),
+    };
+  }
+  return accounts;
+}
+
+const accountsFile = process.env.ACCOUNTS_FILE
+  ? resolve(process.env.ACCOUNTS_FILE)
+  : null;
+
+export const config = {
+  port: Number(process.env.PORT || 8001),
+  apiKey: process.env.MCP_API_KEY || "",
+  accountsFile,
+
+  // Max. Größe für heruntergeladene Anhänge (imap_get_attachment)
+  attachmentMaxBytes: Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024),
+
+  // Max. Gesamtgröße aller Anhänge einer gesendeten Mail
+  sendMaxBytes: Number(process.env.SEND_MAX_BYTES || 20 * 1024 * 1024),
+
+  // Serienmails (smtp_send_merge): max. Empfänger pro Aufruf und Pause zwischen zwei Mails
+  mergeMaxRecipients: Number(process.env.MERGE_MAX_RECIPIENTS || 200),
+  mergeDelayMs: Number(process.env.MERGE_DELAY_MS || 1000),
+
+  // SMTP-Timeouts: Verbindungsaufbau/Begrüßung und Inaktivität während des Versands
+  smtpTimeoutMs: Number(process.env.SMTP_TIMEOUT || 15 * 1000),
+  smtpSocketTimeoutMs: Number(process.env.SMTP_SOCKET_TIMEOUT || 60 * 1000),
+
+  // Anzeigename des Absenders für Accounts ohne eigene identities
+  fromName: process.env.SMTP_FROM_NAME ?? "Dirk Schulenburg",
+
+  // Bulk-Tools: max. betroffene Mails pro Aufruf (per maxMessages übersteuerbar)
+  // und UIDs pro IMAP-Befehl
+  bulkMaxMessages: Number(process.env.BULK_MAX_MESSAGES || 500),
+  bulkBatchSize: Number(process.env.BULK_BATCH_SIZE || 100),
+
+  // Webhooks für neue Mails (Watcher), kommagetrennt; Accounts können eigene setzen
+  webhookUrls: (process.env.WEBHOOK_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  // Secret für die HMAC-SHA256 Signatur der Webhook-Payload
+  webhookSecret: process.env.WEBHOOK_SECRET || "",
+
+  // Persistente Daten (Regeln, ...), im Container als Volume mounten
+  dataDir: resolve(process.env.DATA_DIR || join(__dirname, "..", "data")),
+
+  // IMAP Accounts (aus ACCOUNTS_FILE oder Legacy-ENV)
+  accounts: accountsFile ? loadAccountsFromFile(accountsFile) : loadAccountsFromEnv(),
 };
 
+/**
+ * Accounts-Datei neu einlesen. Bei Fehlern bleibt die bisherige
+ * Konfiguration aktiv und der Fehler wird geworfen.
+ */
+export function reloadAccounts() {
+  config.accounts = accountsFile ? loadAccountsFromFile(accountsFile) : loadAccountsFromEnv();
+  for (const listener of reloadListeners) listener(config.accounts);
+  return config.accounts;
+}
+
+const reloadListeners = [];
+
+/**
+ * Listener für neu geladene Accounts registrieren (z.B. Watcher neu starten)
+ */
+export function onAccountsReload(listener) {
+  reloadListeners.push(listener);
+}
+
+function reloadAndLog() {
+  try {
+    const accounts = reloadAccounts();
+    console.log(`[Config] Reloaded ${Object.keys(accounts).length} account(s) from ${accountsFile || "environment"}`);
+  } catch (error) {
+    console.error(`[Config] Reload failed, keeping previous accounts: ${error.message}`);
+  }
+}
+
+// Reload bei Dateiänderung (polling, funktioniert auch mit Docker-Volumes)
+if (accountsFile && existsSync(accountsFile)) {
+  watchFile(accountsFile, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadAndLog();
+  }).unref();
+}
+
+// Manueller Reload: docker kill -s HUP imap-mcp
+process.on("SIGHUP", reloadAndLog);
+
 // Get configured accounts (only those with credentials)
 export function getConfiguredAccounts() {
   return Object.entries(config.accounts)
@@ -0,0 +1,106 @@
+/**
+ * Spezialordner-Rollen (RFC 6154 SPECIAL-USE)
+ *
+ * Provider benennen Ordner lokalisiert ("Gesendet", "Papierkorb",
+ * "Spamverdacht", ...). Die Rolle eines Ordners wird ermittelt aus:
+ *   1. Override in der Account-Konfiguration (z.B. trashFolder)
+ *   2. SPECIAL-USE Flag aus LIST bzw. XLIST (ältere Gmail-/Zimbra-Server)
+ *   3. üblichen Ordnernamen
+ *
+ * Tools akzeptieren Rollen als Alias im Ordner-Argument, z.B. "role:trash".
+ */
+
+export const FOLDER_ROLES = {
+  sent: {
+    flag: "\\Sent",
+    configKey: "sentFolder",
+    names: ["sent", "gesendet", "sent items", "sent messages", "gesendete objekte", "gesendete elemente"],
+  },
+  drafts: {
+    flag: "\\Drafts",
+    configKey: "draftsFolder",
+    names: ["drafts", "draft", "entwürfe", "entwurf"],
+  },
+  trash: {
+    flag: "\\Trash",
+    configKey: "trashFolder",
+    names: ["trash", "deleted items", "deleted messages", "bin", "papierkorb", "gelöschte objekte", "gelöschte elemente"],
+  },
+  junk: {
+    flag: "\\Junk",
+    configKey: "junkFolder",
+    names: ["junk", "spam", "junk e-mail", "junk email", "bulk mail", "spamverdacht", "junk-e-mail"],
+  },
+  archive: {
+    flag: "\\Archive",
+    configKey: "archiveFolder",
+    names: ["archive", "archiv"],
+  },
+  all: {
+    flag: "\\All",
+    configKey: "allFolder",
+    names: ["all mail", "alle nachrichten"],
+  },
+};
+
+export const ROLE_NAMES = Object.keys(FOLDER_ROLES);
+
+// XLIST (Vorläufer von SPECIAL-USE) verwendet teils andere Attribute
+const XLIST_FLAGS = {
+  "\\AllMail": "\\All",
+  "\\Spam": "\\Junk",
+  "\\Starred": "\\Flagged",
+};
+
+/**
+ * XLIST-Attribute auf SPECIAL-USE Namen abbilden
+ */
+export function normalizeFlags(flags = []) {
+  return flags.map((flag) => XLIST_FLAGS[flag] || flag);
+}
+
+/**
+ * Rolle aus einem Ordner-Argument ("role:trash") lesen, sonst null.
+ * Wirft bei unbekannten Rollen.
+ */
+export function parseRoleAlias(folder) {
+  const match = /^role:(.*)$/i.exec(folder || "");
+  if (!match) return null;
+
+  const role = match[1].trim().toLowerCase();
+  if (!FOLDER_ROLES[role]) {
+    throw new Error(`Unknown folder role '${role}' (available: ${ROLE_NAMES.join(", ")})`);
+  }
+  return role;
+}
+
+function leafName(folder) {
+  return folder.delimiter ? folder.name.split(folder.delimiter).pop() : folder.name;
+}
+
+/**
+ * Rollen der Ordner eines Accounts bestimmen.
+ *
+ * @param {Array} folders flattenMailboxes-Ergebnis ({ name, delimiter, flags })
+ * @param {Object} accountConfig Account mit optionalen Overrides (sentFolder, ...)
+ * @returns {Object} role -> Ordnername (nur gefundene Rollen)
+ */
+export function detectFolderRoles(folders, accountConfig = {}) {
+  const roles = {};
+  for (const [role, { flag, configKey, names }] of Object.entries(FOLDER_ROLES)) {
+    if (accountConfig[configKey]) {
+      roles[role] = accountConfig[configKey];
+      continue;
+    }
+
+    const bySpecialUse = folders.find((f) => normalizeFlags(f.flags).includes(flag));
+    if (bySpecialUse) {
+      roles[role] = bySpecialUse.name;
+      continue;
+    }
+
+    const byName = folders.find((f) => names.includes(leafName(f).toLowerCase()));
+    if (byName) roles[role] = byName.name;
+  }
+  return roles;
+}
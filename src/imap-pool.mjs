@@ -0,0 +1,271 @@
+/**
+ * IMAP Connection Pool
+ *
+ * Hält authentifizierte IMAP-Sessions pro Account offen und verwendet sie
+ * über mehrere Tool-Aufrufe hinweg wieder (kein TLS-Handshake + LOGIN pro Call).
+ *
+ * - Eine Session wird exklusiv ausgeliehen (acquireImap) und wieder
+ *   zurückgegeben (releaseImap). Dadurch kann kein anderer Aufruf die
+ *   ausgewählte Mailbox wechseln, während eine Operation läuft.
+ * - Jede Ausleihe bekommt ein eigenes Handle. Ein zweites releaseImap mit
+ *   einem alten Handle (z.B. im catch-Zweig) gibt nicht die inzwischen an
+ *   einen anderen Aufruf verliehene Session zurück.
+ * - Getrennte Verbindungen werden verworfen und beim nächsten Aufruf neu aufgebaut.
+ * - Unbenutzte Sessions werden nach IMAP_POOL_IDLE_TIMEOUT geschlossen.
+ *
+ * ENV:
+ *   IMAP_POOL_MAX_PER_ACCOUNT=2       max. gleichzeitige Sessions pro Account
+ *   IMAP_POOL_IDLE_TIMEOUT=300000     ms bis eine freie Session geschlossen wird
+ *   IMAP_POOL_ACQUIRE_TIMEOUT=30000   ms, die ein Aufruf auf eine freie Session wartet
+ */
+
+import Imap from "imap";
+import { config } from "./config.mjs";
+
+const MAX_PER_ACCOUNT = Number(process.env.IMAP_POOL_MAX_PER_ACCOUNT || 2);
+const IDLE_TIMEOUT = Number(process.env.IMAP_POOL_IDLE_TIMEOUT || 5 * 60 * 1000);
+const ACQUIRE_TIMEOUT = Number(process.env.IMAP_POOL_ACQUIRE_TIMEOUT || 30 * 1000);
+
+// accountKey -> { sessions: Set<session>, idle: session[], waiters: Function[] }
+const pools = new Map();
+
+// Handle einer Ausleihe -> session (für releaseImap)
+const sessionsByLease = new WeakMap();
+
+/**
+ * Create IMAP connection for an account (options are passed to node-imap,
+ * e.g. keepalive settings)
+ */
+export function createImapConnection(accountKey, options = {}) {
+  const accounts = config.accounts;
+  const account = accounts[accountKey];
+
+  if (!account || !account.user || !account.password) {
+    throw new Error(`Account '${accountKey}' not configured`);
+  }
+
+  return new Imap({
+    user: account.user,
+    password: account.password,
+    host: account.host,
+    port: account.port,
+    tls: account.tls,
+    tlsOptions: { rejectUnauthorized: false },
+    ...options,
+  });
+}
+
+/**
+ * Connect to IMAP server
+ */
+export function connectImap(imap) {
+  return new Promise((resolve, reject) => {
+    imap.once("ready", () => resolve(imap));
+    imap.once("error", (err) => reject(err));
+    imap.connect();
+  });
+}
+
+function getPool(accountKey) {
+  let pool = pools.get(accountKey);
+  if (!pool) {
+    pool = { sessions: new Set(), idle: [], waiters: [] };
+    pools.set(accountKey, pool);
+  }
+  return pool;
+}
+
+/**
+ * Session ist nur nutzbar, wenn sie eingeloggt ist und die Account-Konfiguration
+ * seit dem Verbindungsaufbau nicht geändert wurde (Reload von ACCOUNTS_FILE).
+ */
+function isUsable(session) {
+  return (
+    !session.closed &&
+    session.imap.state === "authenticated" &&
+    config.accounts[session.accountKey] === session.account
+  );
+}
+
+function destroySession(session) {
+  if (session.closed) return;
+  session.closed = true;
+  clearTimeout(session.idleTimer);
+
+  const pool = getPool(session.accountKey);
+  pool.sessions.delete(session);
+  pool.idle = pool.idle.filter((s) => s !== session);
+
+  try {
+    session.imap.end();
+  } catch {
+    // Verbindung ist bereits weg
+  }
+
+  // Ein wartender Aufruf kann jetzt eine neue Verbindung aufbauen
+  const waiter = pool.waiters.shift();
+  if (waiter) waiter();
+}
+
+async function openSession(accountKey) {
+  const pool = getPool(accountKey);
+  const imap = createImapConnection(accountKey);
+  const session = {
+    accountKey,
+    account: config.accounts[accountKey],
+    imap,
+    closed: false,
+    lease: null,
+    idleTimer: null,
+  };
+  pool.sessions.add(session);
+
+  // Dauerhafter Error-Handler: ohne ihn würde ein späterer Verbindungsfehler
+  // (z.B. Server trennt eine freie Session) den Prozess beenden.
+  imap.on("error", (err) => {
+    console.error(`[IMAP Pool] ${accountKey}: ${err.message}`);
+    destroySession(session);
+  });
+  imap.once("close", () => destroySession(session));
+  imap.once("end", () => destroySession(session));
+
+  try {
+    await connectImap(imap);
+  } catch (err) {
+    destroySession(session);
+    throw err;
+  }
+
+  console.log(`[IMAP Pool] ${accountKey}: new session (${pool.sessions.size}/${MAX_PER_ACCOUNT})`);
+  return session;
+}
+
+/**
+ * Session an einen Aufruf verleihen. Das Handle leitet alles an die
+ * Verbindung weiter, ist aber pro Ausleihe ein neues Objekt.
+ */
+function leaseSession(session) {
+  const lease = new Proxy(session.imap, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+  session.lease = lease;
+  sessionsByLease.set(lease, session);
+  return lease;
+}
+
+/**
+ * Auf eine zurückgegebene oder geschlossene Session warten, höchstens bis deadline
+ */
+function waitForSession(pool, accountKey, deadline) {
+  return new Promise((resolve, reject) => {
+    const waiter = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      pool.waiters = pool.waiters.filter((w) => w !== waiter);
+      reject(
+        new Error(
+          `No free IMAP session for account '${accountKey}' within ${ACQUIRE_TIMEOUT / 1000}s ` +
+            `(all ${MAX_PER_ACCOUNT} sessions busy), try again later`
+        )
+      );
+    }, Math.max(deadline - Date.now(), 0));
+    pool.waiters.push(waiter);
+  });
+}
+
+/**
+ * Authentifizierte IMAP-Session für einen Account ausleihen.
+ * Muss immer mit releaseImap() zurückgegeben werden. Sind alle Sessions
+ * länger als IMAP_POOL_ACQUIRE_TIMEOUT belegt, wird mit einem Fehler abgebrochen.
+ */
+export async function acquireImap(accountKey) {
+  if (!config.accounts[accountKey]) {
+    throw new Error(`Account '${accountKey}' not configured`);
+  }
+
+  const pool = getPool(accountKey);
+  const deadline = Date.now() + ACQUIRE_TIMEOUT;
+
+  for (;;) {
+    // Freie Session wiederverwenden
+    while (pool.idle.length > 0) {
+      const session = pool.idle.pop();
+      clearTimeout(session.idleTimer);
+      if (isUsable(session)) return leaseSession(session);
+      destroySession(session);
+    }
+
+    // Neue Session, solange das Limit nicht erreicht ist
+    if (pool.sessions.size < MAX_PER_ACCOUNT) {
+      return leaseSession(await openSession(accountKey));
+    }
+
+    // Warten, bis eine Session zurückgegeben oder geschlossen wird
+    await waitForSession(pool, accountKey, deadline);
+  }
+}
+
+/**
+ * Ausgeliehene Session zurückgeben. Bei einem Fehler während der Nutzung
+ * (error gesetzt) wird die Session verworfen, falls die Verbindung nicht
+ * mehr sauber ist.
+ */
+export function releaseImap(imap, error) {
+  const session = sessionsByLease.get(imap);
+  if (!session) {
+    // Keine Pool-Session (z.B. direkte Verbindung)
+    imap.end();
+    return;
+  }
+
+  // Diese Ausleihe ist bereits zurückgegeben (doppelter Aufruf im catch-Zweig),
+  // die Session gehört evtl. schon einem anderen Aufruf
+  if (session.closed || session.lease !== imap) return;
+  session.lease = null;
+
+  if (!isUsable(session) || (error && session.imap.state !== "authenticated")) {
+    destroySession(session);
+    return;
+  }
+
+  const pool = getPool(session.accountKey);
+  pool.idle.push(session);
+  session.idleTimer = setTimeout(() => {
+    console.log(`[IMAP Pool] ${session.accountKey}: closing idle session`);
+    destroySession(session);
+  }, IDLE_TIMEOUT);
+  session.idleTimer.unref();
+
+  const waiter = pool.waiters.shift();
+  if (waiter) waiter();
+}
+
+/**
+ * Alle Sessions schließen (Shutdown)
+ */
+export function closeAllImapSessions() {
+  for (const pool of pools.values()) {
+    for (const session of [...pool.sessions]) destroySession(session);
+  }
+}
+
+/**
+ * Pool-Status für /version
+ */
+export function getPoolStats() {
+  const stats = {};
+  for (const [accountKey, pool] of pools.entries()) {
+    if (pool.sessions.size === 0) continue;
+    stats[accountKey] = {
+      open: pool.sessions.size,
+      idle: pool.idle.length,
+      waiting: pool.waiters.length,
+    };
+  }
+  return stats;
+}
@@ -0,0 +1,592 @@
+/**
+ * Lokaler Nachrichten-Index (SQLite + FTS5) für schnelle Suche über alle Accounts
+ *
+ * Optional: aktiv nur für Accounts mit `index:` in der Accounts-Datei
+ * (bzw. IMAP_xxx_INDEX=* oder INBOX,Gesendet). Ohne `folders` werden alle
+ * Ordner indiziert.
+ *
+ * Der Abgleich läuft im Hintergrund pro Ordner über den Verbindungs-Pool:
+ *   - UIDVALIDITY geändert  -> Ordner komplett neu einlesen
+ *   - UIDs > last_uid        -> Header, Flags und Text neuer Mails laden
+ *   - bekannte Mails          -> Flags per CONDSTORE (CHANGEDSINCE) oder komplett
+ *   - fehlende UIDs           -> aus dem Index löschen (expunged)
+ * Der Fortschritt wird nach jedem Batch gespeichert, ein abgebrochener Lauf
+ * macht beim nächsten Mal dort weiter.
+ *
+ * ENV:
+ *   INDEX_FILE=./data/index.sqlite
+ *   INDEX_SYNC_INTERVAL=900000         ms zwischen zwei Abgleichen
+ *   INDEX_MAX_MESSAGE_BYTES=5242880    größere Mails nur mit Headern indizieren
+ */
+
+import { dirname, join, resolve } from "path";
+import { mkdirSync } from "fs";
+import Imap from "imap";
+import { simpleParser } from "mailparser";
+import { config } from "./config.mjs";
+import { acquireImap, releaseImap } from "./imap-pool.mjs";
+
+const INDEX_FILE = resolve(process.env.INDEX_FILE || join(config.dataDir, "index.sqlite"));
+const SYNC_INTERVAL = Number(process.env.INDEX_SYNC_INTERVAL || 15 * 60 * 1000);
+const MAX_MESSAGE_BYTES = Number(process.env.INDEX_MAX_MESSAGE_BYTES || 5 * 1024 * 1024);
+const BATCH_SIZE = 25;
+const MAX_BODY_CHARS = 64 * 1024;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS folders (
+    account TEXT NOT NULL,
+    folder TEXT NOT NULL,
+    uidvalidity INTEGER,
+    last_uid INTEGER NOT NULL DEFAULT 0,
+    uidnext INTEGER,
+    highestmodseq TEXT,
+    synced_at TEXT,
+    last_error TEXT,
+    PRIMARY KEY (account, folder)
+  );
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY,
+    account TEXT NOT NULL,
+    folder TEXT NOT NULL,
+    uid INTEGER NOT NULL,
+    message_id TEXT,
+    from_addr TEXT,
+    to_addr TEXT,
+    cc_addr TEXT,
+    subject TEXT,
+    date TEXT,
+    flags TEXT NOT NULL DEFAULT '[]',
+    size INTEGER,
+    body TEXT,
+    UNIQUE (account, folder, uid)
+  );
+  CREATE INDEX IF NOT EXISTS messages_date ON messages (date);
+  CREATE INDEX IF NOT EXISTS messages_message_id ON messages (message_id);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    subject, from_addr, to_addr, body,
+    content = 'messages', content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, subject, from_addr, to_addr, body)
+    VALUES (new.id, new.subject, new.from_addr, new.to_addr, new.body);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, subject, from_addr, to_addr, body)
+    VALUES ('delete', old.id, old.subject, old.from_addr, old.to_addr, old.body);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE OF subject, from_addr, to_addr, body ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, subject, from_addr, to_addr, body)
+    VALUES ('delete', old.id, old.subject, old.from_addr, old.to_addr, old.body);
+    INSERT INTO messages_fts (rowid, subject, from_addr, to_addr, body)
+    VALUES (new.id, new.subject, new.from_addr, new.to_addr, new.body);
+  END;
+`;
+
+let db = null;
+let timer = null;
+let running = null;
+// Shutdown: laufender Abgleich hört nach dem aktuellen Batch auf
+let stopping = false;
+// Fehler des letzten Laufs außerhalb eines Accounts (z.B. Datenbank) für index_status
+let lastError = null;
+
+// Laufzeitstatus pro Account für index_status
+const syncState = new Map();
+
+/**
+ * Datenbank öffnen. better-sqlite3 ist ein natives Modul und wird erst hier
+ * geladen, also nur wenn mindestens ein Account `index:` hat.
+ */
+async function openDatabase() {
+  if (db) return db;
+  const { default: Database } = await import("better-sqlite3");
+  if (db) return db;
+  mkdirSync(dirname(INDEX_FILE), { recursive: true });
+  db = new Database(INDEX_FILE);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Accounts mit aktiviertem Index (Konfiguration `index:`)
+ */
+function indexedAccounts() {
+  return Object.entries(config.accounts).filter(([, account]) => account.index && account.user && account.password);
+}
+
+export function isIndexEnabled() {
+  return indexedAccounts().length > 0;
+}
+
+// ============================================================================
+// IMAP
+// ============================================================================
+
+function openBox(imap, folder) {
+  return new Promise((resolve, reject) => {
+    imap.openBox(folder, true, (err, box) => {
+      if (err) reject(err);
+      else resolve(box);
+    });
+  });
+}
+
+function search(imap, criteria) {
+  return new Promise((resolve, reject) => {
+    imap.search(criteria, (err, uids) => {
+      if (err) reject(err);
+      else resolve(uids);
+    });
+  });
+}
+
+function getBoxes(imap) {
+  return new Promise((resolve, reject) => {
+    imap.getBoxes((err, boxes) => {
+      if (err) reject(err);
+      else resolve(boxes);
+    });
+  });
+}
+
+// Alle auswählbaren Ordner (ohne \Noselect)
+function flattenBoxes(boxes, prefix = "") {
+  const names = [];
+  for (const [name, box] of Object.entries(boxes || {})) {
+    const path = prefix ? `${prefix}${box.delimiter}${name}` : name;
+    if (!box.attribs?.some((a) => a.toUpperCase() === "\\NOSELECT")) names.push(path);
+    names.push(...flattenBoxes(box.children, path));
+  }
+  return names;
+}
+
+/**
+ * Nachrichten per FETCH laden. Liefert pro Mail { uid, flags, date, size, modseq, chunks }
+ * (chunks: Buffer-Listen pro Body-Teil).
+ */
+function fetchMessages(imap, uids, options) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const fetch = imap.fetch(uids, options);
+
+    fetch.on("message", (msg) => {
+      const message = { uid: null, flags: [], chunks: {} };
+      msg.on("body", (stream, info) => {
+        const chunks = (message.chunks[info.which] = []);
+        stream.on("data", (chunk) => chunks.push(chunk));
+      });
+      msg.once("attributes", (attrs) => {
+        message.uid = attrs.uid;
+        message.flags = attrs.flags || [];
+        message.date = attrs.date;
+        message.size = attrs.size;
+        message.modseq = attrs.modseq;
+      });
+      msg.once("end", () => messages.push(message));
+    });
+
+    fetch.once("error", reject);
+    fetch.once("end", () => resolve(messages));
+  });
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+function first(header, name) {
+  return header[name]?.[0] || null;
+}
+
+function toIsoDate(value, fallback) {
+  const date = value ? new Date(value) : null;
+  if (date && !Number.isNaN(date.getTime())) return date.toISOString();
+  return fallback ? new Date(fallback).toISOString() : null;
+}
+
+// Text reiner HTML-Mails (mailparser liefert dann kein text): Tags entfernen
+function htmlText(html) {
+  return html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Neue Mails eines Batches einlesen: Header + Größe, danach der Volltext
+ * für alle Mails unter INDEX_MAX_MESSAGE_BYTES
+ */
+async function loadMessages(imap, uids) {
+  const headers = await fetchMessages(imap, uids, {
+    bodies: "HEADER.FIELDS (FROM TO CC SUBJECT DATE MESSAGE-ID)",
+    size: true,
+  });
+
+  const small = headers.filter((m) => (m.size || 0) <= MAX_MESSAGE_BYTES).map((m) => m.uid);
+  const bodies = new Map();
+  if (small.length > 0) {
+    for (const message of await fetchMessages(imap, small, { bodies: "" })) {
+      const raw = Buffer.concat(message.chunks[""] || []);
+      try {
+        const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextLinks: true });
+        const text = parsed.text || (parsed.html ? htmlText(parsed.html) : "");
+        bodies.set(message.uid, text.slice(0, MAX_BODY_CHARS));
+      } catch {
+        // Nicht parsebare Mail: nur Header indizieren
+      }
+    }
+  }
+
+  return headers.map((message) => {
+    const header = Imap.parseHeader(Buffer.concat(Object.values(message.chunks)[0] || []).toString("utf8"));
+    return {
+      uid: message.uid,
+      message_id: first(header, "message-id"),
+      from_addr: first(header, "from"),
+      to_addr: header.to?.join(", ") || null,
+      cc_addr: header.cc?.join(", ") || null,
+      subject: first(header, "subject"),
+      date: toIsoDate(first(header, "date"), message.date),
+      flags: JSON.stringify(message.flags),
+      size: message.size || null,
+      body: bodies.get(message.uid) ?? null,
+    };
+  });
+}
+
+/**
+ * Einen Ordner mit dem Index abgleichen
+ */
+async function syncFolder(imap, account, folder, progress) {
+  const database = await openDatabase();
+  const box = await openBox(imap, folder);
+  const condstore = imap.serverSupports("CONDSTORE") && !box.nomodseq && box.highestmodseq;
+
+  let state = database.prepare("SELECT * FROM folders WHERE account = ? AND folder = ?").get(account, folder);
+  if (!state || state.uidvalidity !== box.uidvalidity) {
+    // Neuer Ordner oder UIDVALIDITY geändert: alte UIDs sind wertlos
+    database.prepare("DELETE FROM messages WHERE account = ? AND folder = ?").run(account, folder);
+    database
+      .prepare(
+        `INSERT INTO folders (account, folder, uidvalidity, last_uid) VALUES (?, ?, ?, 0)
+         ON CONFLICT (account, folder) DO UPDATE SET uidvalidity = excluded.uidvalidity, last_uid = 0, highestmodseq = NULL`
+      )
+      .run(account, folder, box.uidvalidity);
+    state = { last_uid: 0, highestmodseq: null };
+  }
+
+  const current = box.messages.total > 0 ? (await search(imap, ["ALL"])).sort((a, b) => a - b) : [];
+  const known = current.filter((uid) => uid <= state.last_uid);
+
+  // Expunged: im Index, aber nicht mehr auf dem Server
+  const currentSet = new Set(current);
+  const indexed = database
+    .prepare("SELECT uid FROM messages WHERE account = ? AND folder = ?")
+    .pluck()
+    .all(account, folder);
+  const removeMessage = database.prepare("DELETE FROM messages WHERE account = ? AND folder = ? AND uid = ?");
+  database.transaction(() => {
+    for (const uid of indexed) if (!currentSet.has(uid)) removeMessage.run(account, folder, uid);
+  })();
+
+  // Flags bekannter Mails: mit CONDSTORE nur die seit dem letzten Lauf geänderten
+  if (known.length > 0 && !(condstore && state.highestmodseq === box.highestmodseq)) {
+    const options = condstore && state.highestmodseq ? { modifiers: { changedsince: state.highestmodseq } } : {};
+    const changed = await fetchMessages(imap, `1:${state.last_uid}`, options);
+    const updateFlags = database.prepare("UPDATE messages SET flags = ? WHERE account = ? AND folder = ? AND uid = ?");
+    database.transaction(() => {
+      for (const message of changed) updateFlags.run(JSON.stringify(message.flags), account, folder, message.uid);
+    })();
+  }
+
+  // Neue Mails in Batches, Fortschritt nach jedem Batch speichern
+  const fresh = current.filter((uid) => uid > state.last_uid);
+  progress.total = fresh.length;
+  progress.done = 0;
+
+  const insertMessage = database.prepare(
+    `INSERT OR REPLACE INTO messages
+       (account, folder, uid, message_id, from_addr, to_addr, cc_addr, subject, date, flags, size, body)
+     VALUES (@account, @folder, @uid, @message_id, @from_addr, @to_addr, @cc_addr, @subject, @date, @flags, @size, @body)`
+  );
+  const saveLastUid = database.prepare("UPDATE folders SET last_uid = ? WHERE account = ? AND folder = ?");
+
+  for (let i = 0; i < fresh.length; i += BATCH_SIZE) {
+    if (stopping) return progress.done;
+    const batch = fresh.slice(i, i + BATCH_SIZE);
+    const messages = await loadMessages(imap, batch);
+    database.transaction(() => {
+      for (const message of messages) insertMessage.run({ account, folder, ...message });
+      saveLastUid.run(batch.at(-1), account, folder);
+    })();
+    progress.done += batch.length;
+  }
+
+  database
+    .prepare(
+      `UPDATE folders SET uidnext = ?, highestmodseq = ?, synced_at = ?, last_error = NULL
+       WHERE account = ? AND folder = ?`
+    )
+    .run(box.uidnext || null, condstore ? box.highestmodseq : null, new Date().toISOString(), account, folder);
+
+  return fresh.length;
+}
+
+/**
+ * Alle konfigurierten Ordner eines Accounts abgleichen. Nicht mehr
+ * indizierte Ordner werden aus dem Index entfernt.
+ */
+async function syncAccount(accountKey, account) {
+  const state = syncState.get(accountKey) || { folders: {} };
+  syncState.set(accountKey, state);
+  state.syncing = true;
+  state.startedAt = new Date().toISOString();
+  state.lastError = null;
+
+  let imap;
+  try {
+    const database = await openDatabase();
+    imap = await acquireImap(accountKey);
+    const folders = account.index.folders || flattenBoxes(await getBoxes(imap));
+    releaseImap(imap);
+    imap = null;
+
+    state.folders = Object.fromEntries(folders.map((folder) => [folder, { done: 0, total: null }]));
+
+    let added = 0;
+    for (const folder of folders) {
+      if (stopping) break;
+      state.currentFolder = folder;
+      try {
+        imap = await acquireImap(accountKey);
+        added += await syncFolder(imap, accountKey, folder, state.folders[folder]);
+        releaseImap(imap);
+      } catch (error) {
+        if (imap) releaseImap(imap, error);
+        database
+          .prepare(
+            `INSERT INTO folders (account, folder, last_error) VALUES (?, ?, ?)
+             ON CONFLICT (account, folder) DO UPDATE SET last_error = excluded.last_error`
+          )
+          .run(accountKey, folder, error.message);
+        console.error(`[Index] ${accountKey}/${folder}: ${error.message}`);
+      }
+      imap = null;
+    }
+
+    const placeholders = folders.map(() => "?").join(", ");
+    database.prepare(`DELETE FROM messages WHERE account = ? AND folder NOT IN (${placeholders})`).run(accountKey, ...folders);
+    database.prepare(`DELETE FROM folders WHERE account = ? AND folder NOT IN (${placeholders})`).run(accountKey, ...folders);
+
+    if (added > 0) console.log(`[Index] ${accountKey}: ${added} new message(s) indexed`);
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    state.lastError = error.message;
+    console.error(`[Index] ${accountKey}: ${error.message}`);
+  } finally {
+    state.syncing = false;
+    state.currentFolder = null;
+    state.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Einen Abgleich aller indizierten Accounts starten (läuft bereits einer,
+ * wird dieser zurückgegeben)
+ */
+export function syncIndex() {
+  if (running) return running;
+  if (stopping) return Promise.resolve();
+  running = (async () => {
+    lastError = null;
+    const accounts = indexedAccounts();
+    const wanted = accounts.map(([key]) => key);
+    if (accounts.length > 0) {
+      const placeholders = wanted.map(() => "?").join(", ");
+      const database = await openDatabase();
+      database.prepare(`DELETE FROM messages WHERE account NOT IN (${placeholders})`).run(...wanted);
+      database.prepare(`DELETE FROM folders WHERE account NOT IN (${placeholders})`).run(...wanted);
+    }
+    for (const [accountKey, account] of accounts) {
+      if (stopping) break;
+      await syncAccount(accountKey, account);
+    }
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+// Abgleich vom Timer: ein Fehler darf nicht als unhandled rejection den Server beenden
+function syncInBackground() {
+  syncIndex().catch((error) => {
+    lastError = error.message;
+    console.error(`[Index] Sync failed: ${error.message}`);
+  });
+}
+
+/**
+ * Hintergrund-Abgleich starten (nur wenn mindestens ein Account `index:` hat)
+ */
+export function startIndexer() {
+  if (timer) return;
+  timer = setInterval(() => {
+    if (isIndexEnabled()) syncInBackground();
+  }, SYNC_INTERVAL);
+  timer.unref();
+
+  if (isIndexEnabled()) {
+    console.log(`[Index] Syncing ${indexedAccounts().length} account(s) to ${INDEX_FILE}`);
+    syncInBackground();
+  }
+}
+
+/**
+ * Abgleich stoppen und Datenbank schließen (Shutdown). Ein laufender Abgleich
+ * bricht nach dem aktuellen Batch ab und wird abgewartet, damit er nicht in
+ * die geschlossene Datenbank schreibt.
+ */
+export async function stopIndexer() {
+  stopping = true;
+  clearInterval(timer);
+  timer = null;
+  await running?.catch(() => {});
+  db?.close();
+  db = null;
+}
+
+// ============================================================================
+// Suche
+// ============================================================================
+
+// Freitext in eine FTS5-Abfrage übersetzen: jedes Wort bzw. "mehrere Wörter"
+// als Phrase (keine Syntaxfehler durch Sonderzeichen), wort* bleibt Präfixsuche
+function ftsQuery(text) {
+  const terms = [];
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const prefix = word?.endsWith("*");
+    const term = (phrase ?? (prefix ? word.slice(0, -1) : word)).replace(/"/g, "").trim();
+    if (term) terms.push(`"${term}"${prefix ? "*" : ""}`);
+  }
+  return terms.join(" ");
+}
+
+/**
+ * Index durchsuchen
+ *
+ * @param {Object} query { text, accounts, folder, from, to, subject, since, before, seen, flagged, sort, limit }
+ * @param {Function} allowed (account, folder) => boolean, Berechtigungsfilter
+ */
+export async function searchIndex(query, allowed = () => true) {
+  const database = await openDatabase();
+  const where = [];
+  const params = {};
+
+  const fts = query.text ? ftsQuery(query.text) : "";
+  if (fts) {
+    where.push("messages_fts MATCH @fts");
+    params.fts = fts;
+  }
+  if (query.accounts?.length) {
+    where.push(`m.account IN (${query.accounts.map((_, i) => `@account${i}`).join(", ")})`);
+    query.accounts.forEach((account, i) => (params[`account${i}`] = account));
+  }
+  if (query.folder) {
+    where.push("m.folder = @folder");
+    params.folder = query.folder;
+  }
+  for (const field of ["from", "to", "subject"]) {
+    if (!query[field]) continue;
+    const column = field === "subject" ? "subject" : `${field}_addr`;
+    where.push(`m.${column} LIKE @${field}`);
+    params[field] = `%${query[field]}%`;
+  }
+  if (query.since) {
+    where.push("m.date >= @since");
+    params.since = query.since;
+  }
+  if (query.before) {
+    where.push("m.date < @before");
+    params.before = query.before;
+  }
+  for (const [field, flag] of [["seen", "\\Seen"], ["flagged", "\\Flagged"]]) {
+    if (query[field] === undefined) continue;
+    where.push(`${query[field] ? "" : "NOT "}EXISTS (SELECT 1 FROM json_each(m.flags) WHERE value = @${field}Flag)`);
+    params[`${field}Flag`] = flag;
+  }
+
+  const order = fts && query.sort !== "date" ? "bm25(messages_fts)" : "m.date DESC";
+  const sql = `
+    SELECT m.account, m.folder, m.uid, m.message_id AS messageId, m.from_addr AS "from", m.to_addr AS "to",
+           m.subject, m.date, m.flags,
+           ${fts ? "snippet(messages_fts, 3, '[', ']', '…', 12)" : "substr(m.body, 1, 160)"} AS snippet
+    FROM ${fts ? "messages_fts JOIN messages m ON m.id = messages_fts.rowid" : "messages m"}
+    ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY ${order}`;
+
+  // Zeilen lazy lesen, bis `limit` erlaubte Treffer gefunden sind
+  const results = [];
+  for (const row of database.prepare(sql).iterate(params)) {
+    if (!allowed(row.account, row.folder)) continue;
+    results.push({ ...row, flags: JSON.parse(row.flags) });
+    if (results.length >= query.limit) break;
+  }
+  return results;
+}
+
+/**
+ * Sync-Status pro Account und Ordner
+ *
+ * @param {Function} allowed (account, folder?) => boolean, Berechtigungsfilter
+ */
+export async function getIndexStatus(allowed = () => true) {
+  const database = await openDatabase();
+  const rows = database
+    .prepare(
+      `SELECT f.*, (SELECT COUNT(*) FROM messages m WHERE m.account = f.account AND m.folder = f.folder) AS messages
+       FROM folders f ORDER BY f.account, f.folder`
+    )
+    .all();
+
+  const accounts = indexedAccounts()
+    .filter(([accountKey]) => allowed(accountKey))
+    .map(([accountKey]) => {
+      const state = syncState.get(accountKey) || { folders: {} };
+      return {
+        account: accountKey,
+        syncing: state.syncing || false,
+        currentFolder: state.currentFolder || null,
+        startedAt: state.startedAt || null,
+        finishedAt: state.finishedAt || null,
+        lastError: state.lastError || null,
+        folders: rows
+          .filter((row) => row.account === accountKey && allowed(accountKey, row.folder))
+          .map((row) => ({
+            folder: row.folder,
+            messages: row.messages,
+            uidvalidity: row.uidvalidity,
+            lastUid: row.last_uid,
+            uidnext: row.uidnext,
+            highestModseq: row.highestmodseq,
+            syncedAt: row.synced_at,
+            lastError: row.last_error,
+            ...(state.currentFolder === row.folder && { progress: state.folders[row.folder] }),
+          })),
+      };
+    });
+
+  return {
+    file: INDEX_FILE,
+    syncInterval: SYNC_INTERVAL,
+    running: running !== null,
+    lastError,
+    accounts,
+  };
+}
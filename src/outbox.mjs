@@ -0,0 +1,316 @@
+/**
+ * Persistenter Postausgang (Outbox) mit geplantem Versand und Wiederholungen
+ *
+ * smtp_send_email, smtp_reply, smtp_forward und smtp_send_draft legen jede
+ * Mail zuerst hier ab und versuchen dann den Versand, smtp_send_merge plant
+ * seine Mails mit Abstand (sendAt) ein. Schlägt er fehl (z.B. SMTP-Server kurz nicht erreichbar) oder ist
+ * ein späterer Zeitpunkt (sendAt) gewünscht, stellt der Worker die Mail im
+ * Hintergrund zu. Fehlversuche werden mit exponentiellem Backoff wiederholt,
+ * nach OUTBOX_MAX_ATTEMPTS ist die Mail "failed" (outbox_retry stellt sie
+ * erneut ein). Wiederholt wird nur, wenn die Mail sicher nicht zugestellt
+ * wurde: bricht die Verbindung ohne Antwort des Servers ab (error.uncertain)
+ * oder wurde der Prozess während des Versands beendet, ist sie sofort
+ * "failed", statt womöglich doppelt anzukommen.
+ *
+ * Ablage pro Mail in DATA_DIR/outbox: <id>.json (Status) und <id>.eml
+ * (fertige MIME-Nachricht, wird nach Versand/Abbruch gelöscht). Damit
+ * überstehen wartende Mails einen Neustart.
+ *
+ * Status: pending -> sending -> sent | failed, pending -> cancelled
+ *
+ * ENV:
+ *   OUTBOX_POLL_INTERVAL=30000      ms zwischen zwei Durchläufen des Workers
+ *   OUTBOX_MAX_ATTEMPTS=8
+ *   OUTBOX_RETRY_BASE_MS=60000      Wartezeit nach dem 1. Fehlversuch, danach verdoppelt
+ *   OUTBOX_RETRY_MAX_MS=3600000     max. Wartezeit zwischen zwei Versuchen
+ *   OUTBOX_KEEP_DAYS=7              versendete/abgebrochene Einträge so lange behalten
+ */
+
+import { randomUUID } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { config } from "./config.mjs";
+
+const POLL_INTERVAL = Number(process.env.OUTBOX_POLL_INTERVAL || 30 * 1000);
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS || 60 * 1000);
+const RETRY_MAX_MS = Number(process.env.OUTBOX_RETRY_MAX_MS || 60 * 60 * 1000);
+const KEEP_DAYS = Number(process.env.OUTBOX_KEEP_DAYS || 7);
+
+// Zustellung unklar: nicht automatisch wiederholen
+const UNCERTAIN_HINT =
+  "- the server may have accepted the email, check the recipient or the Sent folder before outbox_retry";
+
+// Einträge mit diesen Status werden nicht mehr zugestellt
+const FINAL_STATUSES = new Set(["sent", "cancelled"]);
+
+let timer = null;
+let running = null;
+let deliver = null;
+
+// Gerade in Zustellung befindliche Einträge (Worker und sofortiger Versand)
+const inFlight = new Set();
+
+function outboxDir() {
+  return join(config.dataDir, "outbox");
+}
+
+function entryFile(id) {
+  return join(outboxDir(), `${id}.json`);
+}
+
+function rawFile(id) {
+  return join(outboxDir(), `${id}.eml`);
+}
+
+function writeEntry(entry) {
+  mkdirSync(outboxDir(), { recursive: true });
+  const file = entryFile(entry.id);
+  writeFileSync(`${file}.tmp`, JSON.stringify(entry, null, 2) + "\n");
+  renameSync(`${file}.tmp`, file);
+  return entry;
+}
+
+function readEntry(id) {
+  if (!/^[a-f0-9-]+$/i.test(id) || !existsSync(entryFile(id))) {
+    throw new Error(`Outbox entry '${id}' not found`);
+  }
+  return JSON.parse(readFileSync(entryFile(id), "utf8"));
+}
+
+function readAllEntries() {
+  if (!existsSync(outboxDir())) return [];
+  const entries = [];
+  for (const name of readdirSync(outboxDir())) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      entries.push(JSON.parse(readFileSync(join(outboxDir(), name), "utf8")));
+    } catch (error) {
+      console.error(`[Outbox] Skipping unreadable entry ${name}: ${error.message}`);
+    }
+  }
+  return entries;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Fertige Mail in den Postausgang legen
+ *
+ * afterSend ist eine Folgeaktion nach erfolgreichem Versand (z.B. Original
+ * als beantwortet markieren, Entwurf löschen). Sie wird von der
+ * Zustellfunktion ausgeführt, auch wenn erst ein späterer Versuch gelingt.
+ *
+ * @param {Object} mail { account, user, envelope, raw, messageId, to, cc, subject, saveToSent, sendAt, afterSend }
+ * @returns {Object} der neue Eintrag (status pending)
+ */
+export function enqueueMail({ account, user, envelope, raw, messageId, to, cc, subject, saveToSent, sendAt, afterSend }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: randomUUID(),
+    account,
+    user: user || null,
+    messageId,
+    to,
+    cc: cc || null,
+    subject,
+    envelope,
+    saveToSent: saveToSent ?? null,
+    status: "pending",
+    createdAt: now,
+    sendAt: sendAt || null,
+    nextAttemptAt: sendAt || now,
+    attempts: 0,
+    lastError: null,
+    sentAt: null,
+    sentFolder: null,
+    afterSend: afterSend || null,
+    afterSendResult: null,
+  };
+  mkdirSync(outboxDir(), { recursive: true });
+  writeFileSync(rawFile(entry.id), raw);
+  return writeEntry(entry);
+}
+
+/**
+ * Einen Eintrag jetzt zustellen (ein Versuch). Fehler werden im Eintrag
+ * vermerkt und der nächste Versuch geplant, nicht geworfen.
+ *
+ * @returns {{ entry, info }} aktualisierter Eintrag und SMTP-Ergebnis (nur bei Erfolg)
+ */
+export async function deliverEntry(id) {
+  if (!deliver) throw new Error("Outbox worker is not started");
+  if (inFlight.has(id)) throw new Error(`Outbox entry '${id}' is already being sent`);
+  inFlight.add(id);
+
+  let entry;
+  try {
+    entry = readEntry(id);
+    if (entry.status !== "pending") throw new Error(`Outbox entry '${id}' is ${entry.status}`);
+    writeEntry({ ...entry, status: "sending" });
+
+    const raw = readFileSync(rawFile(id));
+    const { info, sent, afterSendResult } = await deliver(entry, raw);
+
+    entry = writeEntry({
+      ...entry,
+      status: "sent",
+      attempts: entry.attempts + 1,
+      lastError: null,
+      nextAttemptAt: null,
+      sentAt: new Date().toISOString(),
+      sentFolder: sent,
+      afterSendResult: afterSendResult ?? null,
+    });
+    rmSync(rawFile(id), { force: true });
+    console.log(`[Outbox] Sent ${id} (${entry.account}) to ${entry.to}`);
+    return { entry, info };
+  } catch (error) {
+    if (entry?.status !== "pending") throw error;
+
+    const attempts = entry.attempts + 1;
+    const failed = attempts >= MAX_ATTEMPTS || error.uncertain;
+    entry = writeEntry({
+      ...entry,
+      status: failed ? "failed" : "pending",
+      attempts,
+      lastError: error.uncertain ? `${error.message} ${UNCERTAIN_HINT}` : error.message,
+      nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+    });
+    console.error(
+      `[Outbox] Attempt ${attempts}/${MAX_ATTEMPTS} for ${id} (${entry.account}) failed: ${error.message}` +
+        (failed ? " - giving up" : `, next attempt at ${entry.nextAttemptAt}`)
+    );
+    return { entry };
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Einträge auflisten, neueste zuerst
+ *
+ * @param {Object} filter { status, account, accountAllowed(account) }
+ */
+export function listOutbox({ status, account, accountAllowed = () => true } = {}) {
+  return readAllEntries()
+    .filter((e) => (!status || e.status === status) && (!account || e.account === account) && accountAllowed(e.account))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Eintrag lesen, wirft wenn er nicht existiert
+ */
+export function getOutboxEntry(id) {
+  return readEntry(id);
+}
+
+/**
+ * Wartende Mail abbrechen (nicht während sie gerade gesendet wird).
+ * Mit dryRun nur prüfen und den unveränderten Eintrag liefern.
+ */
+export function cancelOutboxEntry(id, { dryRun = false } = {}) {
+  const entry = readEntry(id);
+  if (inFlight.has(id) || entry.status === "sending") throw new Error(`Outbox entry '${id}' is being sent right now`);
+  if (entry.status !== "pending" && entry.status !== "failed") {
+    throw new Error(`Outbox entry '${id}' is ${entry.status} and cannot be cancelled`);
+  }
+  if (dryRun) return entry;
+  rmSync(rawFile(id), { force: true });
+  return writeEntry({ ...entry, status: "cancelled", nextAttemptAt: null, cancelledAt: new Date().toISOString() });
+}
+
+/**
+ * Fehlgeschlagene oder wartende Mail sofort erneut einplanen (Versuche von vorn).
+ * Mit dryRun nur prüfen und den unveränderten Eintrag liefern.
+ */
+export function retryOutboxEntry(id, { dryRun = false } = {}) {
+  const entry = readEntry(id);
+  if (inFlight.has(id)) throw new Error(`Outbox entry '${id}' is being sent right now`);
+  if (entry.status !== "pending" && entry.status !== "failed") {
+    throw new Error(`Outbox entry '${id}' is ${entry.status} and cannot be retried`);
+  }
+  if (dryRun) return entry;
+  return writeEntry({ ...entry, status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+}
+
+// Alte versendete/abgebrochene Einträge entfernen
+function pruneOutbox(entries) {
+  const cutoff = new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  for (const entry of entries) {
+    const doneAt = entry.sentAt || entry.cancelledAt;
+    if (FINAL_STATUSES.has(entry.status) && doneAt && doneAt < cutoff) {
+      rmSync(entryFile(entry.id), { force: true });
+      rmSync(rawFile(entry.id), { force: true });
+    }
+  }
+}
+
+/**
+ * Fällige Mails nacheinander zustellen (läuft nie doppelt)
+ */
+export function processOutbox() {
+  if (running) return running;
+
+  running = (async () => {
+    const entries = readAllEntries();
+    pruneOutbox(entries);
+
+    const now = new Date().toISOString();
+    const due = entries
+      .filter((e) => e.status === "pending" && e.nextAttemptAt <= now && !inFlight.has(e.id))
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+    for (const entry of due) {
+      // Inzwischen sofort versendet (smtp_send_email, outbox_retry)
+      if (inFlight.has(entry.id)) continue;
+      try {
+        await deliverEntry(entry.id);
+      } catch (error) {
+        // z.B. inzwischen abgebrochen
+        console.error(`[Outbox] Skipping ${entry.id}: ${error.message}`);
+      }
+    }
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/**
+ * Worker starten
+ *
+ * @param {Function} deliverFn (entry, raw) => Promise<{ info, sent, afterSendResult }>, stellt eine Mail
+ *   per SMTP zu und führt entry.afterSend aus (darf danach nicht mehr werfen)
+ */
+export function startOutbox(deliverFn) {
+  if (timer) return;
+  deliver = deliverFn;
+
+  // Beim letzten Lauf unterbrochene Zustellungen: die Mail kann schon
+  // angekommen sein, daher nicht automatisch wiederholen
+  for (const entry of readAllEntries()) {
+    if (entry.status === "sending") {
+      writeEntry({
+        ...entry,
+        status: "failed",
+        lastError: `Interrupted while sending (server stopped) ${UNCERTAIN_HINT}`,
+        nextAttemptAt: null,
+      });
+    }
+  }
+
+  timer = setInterval(processOutbox, POLL_INTERVAL);
+  timer.unref();
+  processOutbox();
+}
+
+/**
+ * Worker stoppen (Shutdown), wartende Mails bleiben erhalten
+ */
+export function stopOutbox() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,108 @@
+/**
+ * Pagination & Sortierung für Mail-Listen
+ *
+ * Cursor sind opake base64url-Strings mit Position und Kontext der Liste.
+ * Sie sind an die UIDVALIDITY des Ordners gebunden: ändert der Server sie
+ * (Ordner neu angelegt/reindiziert), sind die UIDs nicht mehr gültig und
+ * der Cursor wird abgelehnt.
+ */
+
+// Sortierfelder -> IMAP SORT Schlüssel (RFC 5256)
+export const SORT_KEYS = {
+  arrival: "ARRIVAL",
+  date: "DATE",
+  from: "FROM",
+  subject: "SUBJECT",
+  size: "SIZE",
+};
+
+/**
+ * Cursor erzeugen
+ */
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), "utf8").toString("base64url");
+}
+
+/**
+ * Cursor dekodieren und gegen den aktuellen Listen-Kontext prüfen.
+ * Wirft, wenn der Cursor ungültig ist oder nicht zur Anfrage passt.
+ */
+export function decodeCursor(cursor, context) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!state || typeof state.offset !== "number") {
+    throw new Error("Invalid cursor");
+  }
+  if (state.uidvalidity !== context.uidvalidity) {
+    throw new Error("Cursor expired: UIDVALIDITY of folder changed, start again without cursor");
+  }
+  for (const key of ["folder", "sort", "order", "criteria"]) {
+    if (state[key] !== context[key]) {
+      throw new Error(`Cursor does not match request (${key} differs)`);
+    }
+  }
+  return state;
+}
+
+/**
+ * Startindex der nächsten Seite bestimmen. Bevorzugt die Position der
+ * zuletzt gelieferten UID (robust gegen neue/gelöschte Mails davor),
+ * sonst der gespeicherte Offset.
+ */
+export function pageStart(uids, state) {
+  if (!state) return 0;
+  const index = uids.indexOf(state.lastUid);
+  return index >= 0 ? index + 1 : Math.min(state.offset, uids.length);
+}
+
+// Erste Adresse aus einem From-Header ("Name <a@b>" -> "a@b")
+function addressOf(header = "") {
+  const match = header.match(/<([^>]+)>/);
+  return (match ? match[1] : header).trim().toLowerCase();
+}
+
+// Basis-Subject ohne Re:/Fwd:/AW:/WG: Präfixe (vereinfacht nach RFC 5256)
+function baseSubject(subject = "") {
+  return subject
+    .replace(/^(\s*(re|fwd?|aw|wg)(\[\d+\])?:\s*)+/i, "")
+    .trim()
+    .toLowerCase();
+}
+
+function sortValue(email, sort) {
+  switch (sort) {
+    case "date": {
+      const time = Date.parse(email.headers.date || "");
+      return Number.isNaN(time) ? new Date(email.date).getTime() : time;
+    }
+    case "from":
+      return addressOf(email.headers.from);
+    case "subject":
+      return baseSubject(email.headers.subject);
+    case "size":
+      return email.size || 0;
+    default:
+      return email.uid;
+  }
+}
+
+/**
+ * Client-seitige Sortierung (Fallback, wenn der Server kein SORT kann).
+ * Erwartet Mails mit Headern DATE/FROM/SUBJECT und size; liefert UIDs.
+ */
+export function sortUidsClientSide(emails, sort, order) {
+  const direction = order === "desc" ? -1 : 1;
+  return emails
+    .map((email) => ({ uid: email.uid, value: sortValue(email, sort) }))
+    .sort((a, b) => {
+      if (a.value < b.value) return -direction;
+      if (a.value > b.value) return direction;
+      return (a.uid - b.uid) * direction;
+    })
+    .map((entry) => entry.uid);
+}
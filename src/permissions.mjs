@@ -0,0 +1,287 @@
+/**
+ * Berechtigungen pro API-User
+ *
+ * Ordnet den Usern aus MCP_API_KEYS (key:user) erlaubte Accounts, Tools und
+ * optional Ordner zu. Definiert in PERMISSIONS_FILE (JSON oder YAML):
+ *
+ *   users:
+ *     colleague1:
+ *       accounts: [onecom]          # Standard: alle
+ *       tools: [read, draft]        # Gruppen oder Tool-Namen, Standard: alle
+ *       folders:                    # optional, pro Account
+ *         onecom: [INBOX, "Projekte/*", "role:sent"]
+ *
+ * User ohne Eintrag (und ohne PERMISSIONS_FILE) haben vollen Zugriff, außer
+ * auf die Gruppe admin (Audit-Log): die muss ausdrücklich eingetragen sein
+ * (tools: ["*", admin]), "*" schließt sie nicht ein.
+ * Nicht erlaubte Tools erscheinen für den User nicht in tools/list.
+ */
+
+import { existsSync, readFileSync, watchFile } from "fs";
+import { extname, resolve } from "path";
+import YAML from "yaml";
+import { z } from "zod";
+
+// Tool-Gruppen für `tools` (neue Tools hier eintragen)
+export const TOOL_GROUPS = {
+  read: [
+    "imap_list_accounts",
+    "imap_list_folders",
+    "imap_list_emails",
+    "imap_unified_inbox",
+    "imap_search",
+    "imap_read_email",
+    "imap_get_attachment",
+    "imap_get_thread",
+    "imap_list_drafts",
+    "imap_list_flags",
+    "smtp_list_identities",
+    "template_list",
+    "template_render",
+    "outbox_list",
+    "rules_list",
+    "index_search",
+    "index_status",
+  ],
+  organize: [
+    "imap_move_email",
+    "imap_move_by_message_id",
+    "imap_bulk_move",
+    "imap_bulk_copy",
+    "imap_bulk_flag",
+    "imap_set_flags",
+    "imap_mark_unseen",
+    "imap_create_folder",
+    "imap_rename_folder",
+    "imap_subscribe_folder",
+    "imap_undo",
+  ],
+  delete: ["imap_delete_email", "imap_bulk_delete", "imap_delete_folder"],
+  draft: ["imap_create_draft", "imap_update_draft"],
+  send: [
+    "smtp_send_email",
+    "smtp_reply",
+    "smtp_forward",
+    "smtp_send_draft",
+    "smtp_send_merge",
+    "outbox_cancel",
+    "outbox_retry",
+  ],
+  rules: ["rules_upsert", "rules_delete", "rules_apply"],
+  templates: ["template_save", "template_delete"],
+  admin: ["audit_query"],
+};
+
+const userSchema = z.object({
+  accounts: z.array(z.string()).optional(),
+  tools: z.array(z.string()).optional(),
+  folders: z.record(z.string(), z.array(z.string())).optional(),
+});
+
+const permissionsFileSchema = z.object({
+  users: z.record(z.string(), userSchema),
+});
+
+const permissionsFile = process.env.PERMISSIONS_FILE ? resolve(process.env.PERMISSIONS_FILE) : null;
+
+function loadPermissionsFile(file) {
+  const raw = readFileSync(file, "utf8");
+  const ext = extname(file).toLowerCase();
+  const data = ext === ".yml" || ext === ".yaml" ? YAML.parse(raw) : JSON.parse(raw);
+
+  const parsed = permissionsFileSchema.safeParse(data);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`)
+      .join("; ");
+    throw new Error(`Invalid permissions file ${file}: ${issues}`);
+  }
+
+  for (const [user, entry] of Object.entries(parsed.data.users)) {
+    // Tool-Namen enthalten "_", alles andere muss eine Gruppe sein
+    const unknown = (entry.tools || []).filter((t) => t !== "*" && !TOOL_GROUPS[t] && !t.includes("_"));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid permissions file ${file}: users.${user}.tools: unknown group(s) ${unknown.join(", ")}`);
+    }
+  }
+  return parsed.data.users;
+}
+
+// Nur bei ausdrücklichem Eintrag erlaubt (nicht über "*" oder fehlenden Eintrag)
+const ADMIN_TOOLS = new Set(TOOL_GROUPS.admin);
+
+let users = permissionsFile ? loadPermissionsFile(permissionsFile) : {};
+
+const reloadListeners = [];
+
+/**
+ * Listener für geänderte Berechtigungen registrieren (z.B. Tool-Listen neu bauen)
+ */
+export function onPermissionsReload(listener) {
+  reloadListeners.push(listener);
+}
+
+if (permissionsFile && existsSync(permissionsFile)) {
+  watchFile(permissionsFile, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      users = loadPermissionsFile(permissionsFile);
+      reloadListeners.forEach((listener) => listener());
+      console.log(`[Permissions] Reloaded ${Object.keys(users).length} user(s) from ${permissionsFile}`);
+    } catch (error) {
+      console.error(`[Permissions] Reload failed, keeping previous permissions: ${error.message}`);
+    }
+  }).unref();
+}
+
+/**
+ * Berechtigungen eines Users, null = uneingeschränkt
+ */
+export function getPermissions(user) {
+  const entry = users[user];
+  if (!entry) return null;
+
+  const listed = new Set((entry.tools || []).flatMap((t) => TOOL_GROUPS[t] || [t]));
+  const tools = entry.tools?.includes("*") ? null : entry.tools && listed;
+
+  return {
+    user,
+    accounts: entry.accounts?.includes("*") ? null : entry.accounts && new Set(entry.accounts),
+    tools,
+    adminTools: new Set([...listed].filter((t) => ADMIN_TOOLS.has(t))),
+    folders: entry.folders || null,
+  };
+}
+
+export function isToolAllowed(permissions, tool) {
+  if (ADMIN_TOOLS.has(tool)) return Boolean(permissions?.adminTools.has(tool));
+  return !permissions?.tools || permissions.tools.has(tool);
+}
+
+export function isAccountAllowed(permissions, account) {
+  return !permissions?.accounts || permissions.accounts.has(account);
+}
+
+const ROLE_ALIAS = /^role:(.*)$/i;
+
+// "role:drafts" über die Rollen des Accounts (Rolle -> Ordner) auflösen,
+// ohne Zuordnung bleibt der Name unverändert
+function resolveRole(name, roles) {
+  const match = ROLE_ALIAS.exec(name);
+  if (!match || !roles) return name;
+  return roles[match[1].trim().toLowerCase()] ?? name;
+}
+
+// "Projekte/*" erlaubt den Ordner selbst und alle Unterordner ("/" oder "." als Trenner)
+function matchesFolder(pattern, folder, roles) {
+  if (pattern === "*") return true;
+  const normalize = (name) => (name.toUpperCase() === "INBOX" ? "INBOX" : name);
+  const target = normalize(resolveRole(folder, roles));
+  if (pattern.endsWith("/*")) {
+    const base = normalize(resolveRole(pattern.slice(0, -2), roles));
+    return target === base || ["/", "."].some((d) => target.startsWith(`${base}${d}`));
+  }
+  return normalize(resolveRole(pattern, roles)) === target;
+}
+
+/**
+ * Braucht die Ordnerprüfung die Rollen des Accounts? (role:-Alias im
+ * Argument oder in einem Muster des Users)
+ */
+export function needsFolderRoles(permissions, account, folder) {
+  const patterns = permissions?.folders?.[account];
+  if (!patterns) return false;
+  return ROLE_ALIAS.test(folder || "") || patterns.some((pattern) => ROLE_ALIAS.test(pattern));
+}
+
+/**
+ * @param {Object} [roles] Rolle -> Ordner des Accounts (detectFolderRoles),
+ *   nötig wenn needsFolderRoles() true liefert
+ */
+export function isFolderAllowed(permissions, account, folder, roles) {
+  const patterns = permissions?.folders?.[account];
+  if (!patterns) return true;
+  return patterns.some((pattern) => matchesFolder(pattern, folder, roles));
+}
+
+/**
+ * Zugriff auf Account/Ordner prüfen, wirft bei fehlender Berechtigung
+ *
+ * @param {Object} [roles] siehe isFolderAllowed
+ */
+export function assertAccess(permissions, { account, folder }, roles) {
+  if (!permissions || !account) return;
+  if (!isAccountAllowed(permissions, account)) {
+    throw new Error(`Access denied: account '${account}' is not allowed for this API key`);
+  }
+  if (folder && !isFolderAllowed(permissions, account, folder, roles)) {
+    throw new Error(`Access denied: folder '${folder}' of account '${account}' is not allowed for this API key`);
+  }
+}
+
+// Tool, dessen Freigabe eine Regel-Aktion voraussetzt: eine Regel darf nicht
+// mehr, als der User mit den Tools selbst dürfte
+const RULE_ACTION_TOOLS = {
+  move: "imap_move_email",
+  copy: "imap_bulk_copy",
+  flag: "imap_set_flags",
+  delete: "imap_delete_email",
+  forward: "smtp_forward",
+};
+
+function toolGroup(tool) {
+  return Object.keys(TOOL_GROUPS).find((group) => TOOL_GROUPS[group].includes(tool));
+}
+
+/**
+ * Braucht die Prüfung der Regel-Aktionen die Rollen des Accounts?
+ */
+export function ruleNeedsFolderRoles(permissions, account, rule) {
+  return rule.actions.some((action) => action.folder && needsFolderRoles(permissions, account, action.folder));
+}
+
+/**
+ * Aktionen einer Regel gegen die Rechte des Users prüfen (forward -> send,
+ * delete -> delete, move/copy/flag -> organize, Zielordner gegen `folders`),
+ * wirft bei der ersten nicht erlaubten Aktion
+ *
+ * @param {Object} [roles] siehe isFolderAllowed
+ */
+export function assertRuleAllowed(permissions, account, rule, roles) {
+  if (!permissions) return;
+  for (const action of rule.actions) {
+    const tool = RULE_ACTION_TOOLS[action.type];
+    if (tool && !isToolAllowed(permissions, tool)) {
+      throw new Error(
+        `Access denied: action '${action.type}' of rule '${rule.id}' needs the '${toolGroup(tool)}' tools, ` +
+          "which are not allowed for this API key"
+      );
+    }
+    if (action.folder && !isFolderAllowed(permissions, account, action.folder, roles)) {
+      throw new Error(
+        `Access denied: rule '${rule.id}' targets folder '${action.folder}' of account '${account}', ` +
+          "which is not allowed for this API key"
+      );
+    }
+  }
+}
+
+// Argumente, die Ordner des Accounts bezeichnen
+const FOLDER_ARGS = ["folder", "sourceFolder", "targetFolder", "newName"];
+
+/**
+ * Alle Account/Ordner-Ziele aus Tool-Argumenten sammeln (inkl. verschachtelter
+ * Quellen wie attachments[].source)
+ */
+export function collectTargets(args) {
+  const targets = [];
+  if (args.account) {
+    const folders = FOLDER_ARGS.map((key) => args[key]).filter((value) => typeof value === "string");
+    if (folders.length === 0) targets.push({ account: args.account });
+    for (const folder of folders) targets.push({ account: args.account, folder });
+  }
+  for (const attachment of args.attachments || []) {
+    if (attachment.source) targets.push({ account: attachment.source.account, folder: attachment.source.folder });
+  }
+  return targets;
+}
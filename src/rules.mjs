@@ -0,0 +1,126 @@
+/**
+ * Mail-Regeln (serverseitiges Sortieren)
+ *
+ * Regeln werden pro Account als JSON in DATA_DIR/rules/<account>.json
+ * gespeichert und der Reihe nach angewendet. Bedingungen nutzen dieselben
+ * Felder wie imap_search (inkl. anyOf/not) plus Alter in Tagen und werden
+ * als IMAP SEARCH auf dem Server ausgewertet.
+ *
+ * Beispiel:
+ *   {
+ *     id: "invoices-acme",
+ *     conditions: { from: "billing@acme.com", subject: "Rechnung" },
+ *     actions: [{ type: "flag", add: ["\\Seen"] }, { type: "move", folder: "Finance/2026" }]
+ *   }
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { join } from "path";
+import { z } from "zod";
+import { config } from "./config.mjs";
+import { searchQueryShape, buildSearchCriteria } from "./search.mjs";
+
+const ruleActionSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("move"),
+    folder: z.string().min(1).describe("Target folder or role alias (e.g. 'role:archive')"),
+  }),
+  z.object({
+    type: z.literal("copy"),
+    folder: z.string().min(1).describe("Target folder or role alias"),
+  }),
+  z.object({
+    type: z.literal("flag"),
+    add: z.array(z.string()).default([]).describe("Flags/keywords to add, e.g. ['\\Seen', '$Invoice']"),
+    remove: z.array(z.string()).default([]).describe("Flags/keywords to remove"),
+  }),
+  z.object({
+    type: z.literal("delete"),
+    permanent: z.boolean().default(false).describe("Expunge instead of moving to Trash"),
+  }),
+  z.object({
+    type: z.literal("forward"),
+    to: z.string().min(1).describe("Recipient(s), the original is attached as .eml"),
+  }),
+]);
+
+// Aktionen, nach denen die Mail nicht mehr im Ordner liegt
+export const TERMINAL_ACTIONS = new Set(["move", "delete"]);
+
+const ruleConditionsSchema = z
+  .object({
+    ...searchQueryShape,
+    olderThanDays: z.number().int().positive().optional().describe("Received more than N days ago"),
+    newerThanDays: z.number().int().positive().optional().describe("Received within the last N days"),
+  })
+  .refine((conditions) => Object.values(conditions).some((value) => value !== undefined), {
+    message: "at least one condition is required",
+  });
+
+export const ruleSchema = z
+  .object({
+    id: z.string().regex(/^[a-z0-9_-]+$/i, "rule id may only contain letters, digits, '_' and '-'"),
+    name: z.string().optional().describe("Description of the rule"),
+    enabled: z.boolean().default(true),
+    conditions: ruleConditionsSchema.describe("Same fields as imap_search, plus olderThanDays/newerThanDays"),
+    actions: z.array(ruleActionSchema).min(1).describe("Executed in order; move/delete must be the last action"),
+  })
+  .superRefine((rule, ctx) => {
+    rule.actions.forEach((action, i) => {
+      if (TERMINAL_ACTIONS.has(action.type) && i !== rule.actions.length - 1) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["actions", i],
+          message: `'${action.type}' must be the last action`,
+        });
+      }
+    });
+  });
+
+const rulesFileSchema = z.array(ruleSchema);
+
+function rulesFile(account) {
+  return join(config.dataDir, "rules", `${account}.json`);
+}
+
+/**
+ * Regeln eines Accounts laden (leer, wenn noch keine gespeichert sind)
+ */
+export function loadRules(account) {
+  const file = rulesFile(account);
+  if (!existsSync(file)) return [];
+
+  const parsed = rulesFileSchema.safeParse(JSON.parse(readFileSync(file, "utf8")));
+  if (!parsed.success) {
+    throw new Error(`Invalid rules file ${file}: ${parsed.error.issues.map((i) => i.message).join("; ")}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Regeln eines Accounts speichern (atomar über temporäre Datei)
+ */
+export function saveRules(account, rules) {
+  const file = rulesFile(account);
+  mkdirSync(join(config.dataDir, "rules"), { recursive: true });
+  writeFileSync(`${file}.tmp`, JSON.stringify(rules, null, 2) + "\n");
+  renameSync(`${file}.tmp`, file);
+}
+
+function daysAgo(days, now) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+}
+
+/**
+ * Bedingungen einer Regel in node-imap Kriterienlisten übersetzen
+ * (wie buildSearchCriteria: Ergebnisse aller Listen vereinigen)
+ */
+export function ruleCriteria(conditions, now = new Date()) {
+  const { olderThanDays, newerThanDays, ...query } = conditions;
+
+  const age = [];
+  if (olderThanDays) age.push(["BEFORE", daysAgo(olderThanDays, now)]);
+  if (newerThanDays) age.push(["SINCE", daysAgo(newerThanDays, now)]);
+
+  return buildSearchCriteria(query).map((criteria) => [...criteria, ...age]);
+}
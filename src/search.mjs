@@ -0,0 +1,154 @@
+/**
+ * Strukturierte IMAP-Suche
+ *
+ * Übersetzt typisierte Suchfelder (zod) in node-imap Suchkriterien, z.B.
+ *   { from: "alice", since: "2026-01-01", seen: false }
+ *   -> [["FROM", "alice"], ["SINCE", Date], "UNSEEN"]
+ *
+ * Felder innerhalb einer Gruppe werden UND-verknüpft. Zusätzlich:
+ *   anyOf: [gruppe, gruppe, ...]  mindestens eine Gruppe muss passen (ODER)
+ *   not:   [gruppe, gruppe, ...]  keine dieser Gruppen darf passen
+ */
+
+import { z } from "zod";
+
+export const dateString = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "expected date as YYYY-MM-DD");
+
+// Basisfelder einer Suchgruppe (alle optional, UND-verknüpft)
+const criteriaGroupShape = {
+  from: z.string().optional().describe("Sender contains"),
+  to: z.string().optional().describe("To contains"),
+  cc: z.string().optional().describe("Cc contains"),
+  bcc: z.string().optional().describe("Bcc contains"),
+  subject: z.string().optional().describe("Subject contains"),
+  body: z.string().optional().describe("Body text contains"),
+  text: z.string().optional().describe("Headers or body contain"),
+  since: dateString.optional().describe("Received on or after date (YYYY-MM-DD)"),
+  before: dateString.optional().describe("Received before date (YYYY-MM-DD)"),
+  on: dateString.optional().describe("Received on date (YYYY-MM-DD)"),
+  sentSince: dateString.optional().describe("Date header on or after date (YYYY-MM-DD)"),
+  sentBefore: dateString.optional().describe("Date header before date (YYYY-MM-DD)"),
+  seen: z.boolean().optional().describe("true = read, false = unread"),
+  flagged: z.boolean().optional().describe("true = flagged/starred, false = not flagged"),
+  answered: z.boolean().optional().describe("true = answered, false = unanswered"),
+  draft: z.boolean().optional().describe("true = draft, false = no draft"),
+  deleted: z.boolean().optional().describe("true = marked deleted, false = not marked deleted"),
+  keyword: z.string().optional().describe("Has custom keyword/flag (e.g. $Label1)"),
+  largerThan: z.number().int().nonnegative().optional().describe("Size larger than N bytes"),
+  smallerThan: z.number().int().positive().optional().describe("Size smaller than N bytes"),
+  header: z
+    .array(z.object({ name: z.string(), value: z.string().default("") }))
+    .optional()
+    .describe("Header contains value, e.g. [{ name: 'List-Id', value: 'newsletter' }]"),
+};
+
+export const criteriaGroupSchema = z.object(criteriaGroupShape);
+
+/**
+ * Parameter-Shape für Such-Tools (Basisfelder + ODER/NICHT-Gruppen)
+ */
+export const searchQueryShape = {
+  ...criteriaGroupShape,
+  anyOf: z
+    .array(criteriaGroupSchema)
+    .optional()
+    .describe("OR: at least one of these groups must match (combined with the fields above)"),
+  not: z
+    .array(criteriaGroupSchema)
+    .optional()
+    .describe("NOT: messages matching any of these groups are excluded"),
+};
+
+export const searchQuerySchema = z.object(searchQueryShape);
+
+// node-imap formatiert Datumswerte in lokaler Zeit -> lokales Datum erzeugen
+function toDate(value) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+const FLAG_CRITERIA = {
+  seen: ["SEEN", "UNSEEN"],
+  flagged: ["FLAGGED", "UNFLAGGED"],
+  answered: ["ANSWERED", "UNANSWERED"],
+  draft: ["DRAFT", "UNDRAFT"],
+  deleted: ["DELETED", "UNDELETED"],
+};
+
+/**
+ * Eine Suchgruppe in eine Liste von node-imap Kriterien übersetzen
+ */
+export function buildGroupCriteria(group) {
+  const criteria = [];
+
+  for (const field of ["from", "to", "cc", "bcc", "subject", "body", "text"]) {
+    if (group[field]) criteria.push([field.toUpperCase(), group[field]]);
+  }
+
+  if (group.since) criteria.push(["SINCE", toDate(group.since)]);
+  if (group.before) criteria.push(["BEFORE", toDate(group.before)]);
+  if (group.on) criteria.push(["ON", toDate(group.on)]);
+  if (group.sentSince) criteria.push(["SENTSINCE", toDate(group.sentSince)]);
+  if (group.sentBefore) criteria.push(["SENTBEFORE", toDate(group.sentBefore)]);
+
+  for (const [field, [yes, no]] of Object.entries(FLAG_CRITERIA)) {
+    if (group[field] === true) criteria.push(yes);
+    if (group[field] === false) criteria.push(no);
+  }
+
+  if (group.keyword) criteria.push(["KEYWORD", group.keyword]);
+  if (group.largerThan !== undefined) criteria.push(["LARGER", group.largerThan]);
+  if (group.smallerThan !== undefined) criteria.push(["SMALLER", group.smallerThan]);
+
+  for (const { name, value } of group.header || []) {
+    criteria.push(["HEADER", name, value]);
+  }
+
+  return criteria;
+}
+
+// Einzelnes Kriterium negieren ("SEEN" -> "!SEEN", ["FROM", x] -> ["!FROM", x])
+function negate(criterion) {
+  if (typeof criterion === "string") return `!${criterion}`;
+  return [`!${criterion[0]}`, ...criterion.slice(1)];
+}
+
+// Liste von Kriterien zu einem verschachtelten OR zusammenfassen
+export function orChain(criteria) {
+  return criteria.reduceRight((acc, c) => (acc ? ["OR", c, acc] : c), null);
+}
+
+/**
+ * Suchanfrage in eine oder mehrere node-imap Kriterienlisten übersetzen.
+ *
+ * IMAP-OR verknüpft nur einzelne Kriterien. Bestehen alle anyOf-Gruppen aus
+ * genau einem Kriterium, wird ein einziges OR gebaut; sonst wird pro Gruppe
+ * eine eigene Suche zurückgegeben, deren Ergebnisse vereinigt werden müssen.
+ *
+ * @returns {Array<Array>} Liste von Kriterienlisten (Ergebnisse vereinigen)
+ */
+export function buildSearchCriteria(query) {
+  const base = buildGroupCriteria(query);
+
+  // NOT (a AND b) == (NOT a) OR (NOT b)
+  for (const group of query.not || []) {
+    const criteria = buildGroupCriteria(group);
+    if (criteria.length > 0) base.push(orChain(criteria.map(negate)));
+  }
+
+  const groups = (query.anyOf || [])
+    .map(buildGroupCriteria)
+    .filter((criteria) => criteria.length > 0);
+
+  if (groups.length === 0) {
+    return [base.length > 0 ? base : ["ALL"]];
+  }
+
+  if (groups.every((criteria) => criteria.length === 1)) {
+    return [[...base, orChain(groups.map((criteria) => criteria[0]))]];
+  }
+
+  return groups.map((criteria) => [...base, ...criteria]);
+}
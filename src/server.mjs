@@ -1,6 +1,5 @@
 import express from "express";
 import cors from "cors";
-import Imap from "imap";
 import { simpleParser } from "mailparser";
 import nodemailer from "nodemailer";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
@@ -9,6 +8,81 @@ import { z } from "zod";
 import { config, getConfiguredAccounts } from "./config.mjs";
 import { generalLimiter, mcpLimiter, healthLimiter } from "./rate-limit.mjs";
 import { requireApiKey } from "./auth.mjs";
+import { searchQueryShape, searchQuerySchema, buildSearchCriteria, dateString } from "./search.mjs";
+import {
+  replySubject,
+  forwardSubject,
+  threadingHeaders,
+  replyRecipients,
+  quoteReply,
+  forwardInline,
+  withSignature,
+} from "./compose.mjs";
+import {
+  listAttachmentParts,
+  estimateDecodedSize,
+  decodePartBody,
+  selectAttachment,
+  findTextPart,
+} from "./attachments.mjs";
+import {
+  threadIdsOf,
+  findThreadUids,
+  threadSearchCriteria,
+  makeSnippet,
+  buildThreadTree,
+} from "./threads.mjs";
+import {
+  SORT_KEYS,
+  encodeCursor,
+  decodeCursor,
+  pageStart,
+  sortUidsClientSide,
+} from "./pagination.mjs";
+import {
+  acquireImap,
+  releaseImap,
+  createImapConnection,
+  connectImap,
+  closeAllImapSessions,
+  getPoolStats,
+} from "./imap-pool.mjs";
+import { encodeUndoToken, decodeUndoToken } from "./undo.mjs";
+import { startWatchers, stopAllWatchers, getWatcherStatus } from "./watcher.mjs";
+import { startIndexer, stopIndexer, isIndexEnabled, searchIndex, getIndexStatus } from "./mail-index.mjs";
+import { isAudited, recordAudit, queryAudit } from "./audit.mjs";
+import {
+  getPermissions,
+  isToolAllowed,
+  isAccountAllowed,
+  isFolderAllowed,
+  assertAccess,
+  needsFolderRoles,
+  ruleNeedsFolderRoles,
+  assertRuleAllowed,
+  collectTargets,
+  onPermissionsReload,
+} from "./permissions.mjs";
+import { ruleSchema, TERMINAL_ACTIONS, loadRules, saveRules, ruleCriteria } from "./rules.mjs";
+import {
+  enqueueMail,
+  deliverEntry,
+  listOutbox,
+  getOutboxEntry,
+  cancelOutboxEntry,
+  retryOutboxEntry,
+  startOutbox,
+  stopOutbox,
+} from "./outbox.mjs";
+import {
+  templateSchema,
+  loadTemplates,
+  saveTemplates,
+  getTemplate,
+  templatePlaceholders,
+  renderTemplate,
+} from "./templates.mjs";
+import { FOLDER_ROLES, detectFolderRoles, normalizeFlags, parseRoleAlias } from "./folders.mjs";
 
 const app = express();
 app.set("trust proxy", 1); // Behind Traefik reverse proxy
@@ -25,43 +99,88 @@ app.use("/mcp", mcpLimiter);
 // ============================================================================
 
 /**
- * Create IMAP connection for an account
+ * Open a mailbox
  */
-function createImapConnection(accountKey) {
-  const accounts = config.accounts;
-  const account = accounts[accountKey];
+function openMailbox(imap, mailbox, readOnly = false) {
+  return new Promise((resolve, reject) => {
+    imap.openBox(mailbox, readOnly, (err, box) => {
+      if (err) reject(err);
+      else resolve(box);
+    });
+  });
+}
 
-  if (!account || !account.user || !account.password) {
-    throw new Error(`Account '${accountKey}' not configured`);
-  }
+/**
+ * List all mailboxes/folders
+ */
+function listMailboxes(imap) {
+  return new Promise((resolve, reject) => {
+    // Old Gmail/Zimbra servers only report special folders via XLIST
+    const useXlist = imap.serverSupports("XLIST") && !imap.serverSupports("SPECIAL-USE");
+    const callback = (err, boxes) => {
+      if (err) reject(err);
+      else resolve(boxes);
+    };
+    if (useXlist) imap.getSpecialUseBoxes(callback);
+    else imap.getBoxes(callback);
+  });
+}
 
-  return new Imap({
-    user: account.user,
-    password: account.password,
-    host: account.host,
-    port: account.port,
-    tls: account.tls,
-    tlsOptions: { rejectUnauthorized: false },
+/**
+ * Create a mailbox/folder
+ */
+function createMailbox(imap, name) {
+  return new Promise((resolve, reject) => {
+    imap.addBox(name, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, name });
+    });
   });
 }
 
 /**
- * Connect to IMAP server
+ * Delete a mailbox/folder
  */
-function connectImap(imap) {
+function deleteMailbox(imap, name) {
   return new Promise((resolve, reject) => {
-    imap.once("ready", () => resolve(imap));
-    imap.once("error", (err) => reject(err));
-    imap.connect();
+    imap.delBox(name, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, name });
+    });
   });
 }
 
 /**
- * Open a mailbox
+ * Rename a mailbox/folder
  */
-function openMailbox(imap, mailbox, readOnly = false) {
+function renameMailbox(imap, oldName, newName) {
   return new Promise((resolve, reject) => {
-    imap.openBox(mailbox, readOnly, (err, box) => {
+    imap.renameBox(oldName, newName, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, from: oldName, to: newName });
+    });
+  });
+}
+
+/**
+ * Subscribe to or unsubscribe from a mailbox/folder
+ */
+function setMailboxSubscription(imap, name, subscribe) {
+  return new Promise((resolve, reject) => {
+    const method = subscribe ? "subscribeBox" : "unsubscribeBox";
+    imap[method](name, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, name, subscribed: subscribe });
+    });
+  });
+}
+
+/**
+ * Get mailbox status (message counts) without selecting it
+ */
+function mailboxStatus(imap, name) {
+  return new Promise((resolve, reject) => {
+    imap.status(name, (err, box) => {
       if (err) reject(err);
       else resolve(box);
     });
@@ -69,17 +188,41 @@ function openMailbox(imap, mailbox, readOnly = false) {
 }
 
 /**
- * List all mailboxes/folders
+ * Unselect the current mailbox without expunging (before delete/rename)
  */
-function listMailboxes(imap) {
+function closeMailbox(imap) {
   return new Promise((resolve, reject) => {
-    imap.getBoxes((err, boxes) => {
+    if (!imap._box) return resolve();
+    imap.closeBox(false, (err) => {
       if (err) reject(err);
-      else resolve(boxes);
+      else resolve();
     });
   });
 }
 
+/**
+ * Resolve a folder path given with "/" or the server's delimiter into the
+ * server's notation, including the personal namespace prefix (e.g. "INBOX.").
+ *
+ * @returns {{ path, delimiter, segments, folders }} folders = flattened mailbox list
+ */
+async function resolveFolderPath(imap, path) {
+  const folders = flattenMailboxes(await listMailboxes(imap));
+  const delimiter = folders.find((f) => f.delimiter)?.delimiter || "/";
+
+  const segments = path.split(/[/]/).flatMap((part) => part.split(delimiter)).filter(Boolean);
+  if (segments.length === 0) throw new Error("Folder path is empty");
+
+  // Servers like Courier require new folders below "INBOX."
+  const prefix = imap.namespaces?.personal?.[0]?.prefix || "";
+  const prefixSegment = prefix.endsWith(delimiter) ? prefix.slice(0, -delimiter.length) : prefix;
+  if (prefixSegment && segments[0].toUpperCase() !== prefixSegment.toUpperCase() && segments[0].toUpperCase() !== "INBOX") {
+    segments.unshift(prefixSegment);
+  }
+
+  return { path: segments.join(delimiter), delimiter, segments, folders };
+}
+
 /**
  * Flatten mailbox tree to array
  */
@@ -104,30 +247,86 @@ function flattenMailboxes(boxes, prefix = "") {
  */
 function moveEmail(imap, uid, targetFolder) {
   return new Promise((resolve, reject) => {
-    imap.move(uid, targetFolder, (err) => {
+    imap.move(uid, targetFolder, (err, targetUids) => {
       if (err) reject(err);
-      else resolve({ success: true, uid, targetFolder });
+      // targetUids only if the server reports COPYUID in the tagged response
+      else resolve({ success: true, uid, targetFolder, targetUids });
     });
   });
 }
 
 /**
- * Delete email (move to Trash or mark as deleted)
+ * Expunge messages: only the given UIDs (UID EXPUNGE, UIDPLUS) or, without
+ * UIDs, every message flagged \Deleted in the mailbox
  */
-function deleteEmail(imap, uid) {
+function expungeMessages(imap, uids) {
   return new Promise((resolve, reject) => {
-    imap.addFlags(uid, ["\\Deleted"], (err) => {
+    // node-imap throws synchronously on UID EXPUNGE without UIDPLUS; inside
+    // another command's callback that would be an uncaught exception
+    if (uids && !imap.serverSupports("UIDPLUS")) {
+      reject(new Error("Server does not support UIDPLUS (UID EXPUNGE)"));
+      return;
+    }
+    const callback = (err) => {
       if (err) reject(err);
-      else {
-        imap.expunge((err2) => {
-          if (err2) reject(err2);
-          else resolve({ success: true, uid, action: "deleted" });
-        });
-      }
-    });
+      else resolve();
+    };
+    if (uids) imap.expunge(uids, callback);
+    else imap.expunge(callback);
   });
 }
 
+/**
+ * Permanently remove specific messages: flag \Deleted and expunge only these
+ * UIDs. Without UIDPLUS, other messages already flagged \Deleted are
+ * unflagged during the EXPUNGE and flagged again afterwards. If the expunge
+ * fails, the messages are unflagged again instead of staying \Deleted.
+ */
+async function removeMessages(imap, uids) {
+  await addFlags(imap, uids, ["\\Deleted"]);
+
+  try {
+    if (imap.serverSupports("UIDPLUS")) {
+      await expungeMessages(imap, uids);
+      return { success: true, uids, action: "removed" };
+    }
+
+    const others = (await searchEmails(imap, ["DELETED"])).filter((uid) => !uids.includes(uid));
+    if (others.length > 0) await removeFlags(imap, others, ["\\Deleted"]);
+    try {
+      await expungeMessages(imap);
+    } finally {
+      if (others.length > 0) await addFlags(imap, others, ["\\Deleted"]);
+    }
+    return { success: true, uids, action: "removed" };
+  } catch (error) {
+    await removeFlags(imap, uids, ["\\Deleted"]).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Move an email to the Trash folder. Returns where it ended up (UID from
+ * COPYUID, else looked up by Message-ID) so that imap_undo can restore it.
+ * Leaves the Trash folder selected.
+ */
+async function trashEmail(imap, uid, trashFolder) {
+  const [email] = await fetchEmails(imap, [uid]);
+  if (!email) throw new Error(`Email with UID ${uid} not found`);
+  const messageId = email.headers["message-id"] || null;
+
+  const moved = await moveEmail(imap, uid, trashFolder);
+  const box = await openMailbox(imap, trashFolder, true);
+
+  let trashUid = Number.parseInt(moved.targetUids, 10) || null;
+  if (!trashUid && messageId) {
+    const uids = await searchEmails(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+    trashUid = uids.length > 0 ? Math.max(...uids) : null;
+  }
+
+  return { trashUid, uidvalidity: box.uidvalidity, messageId };
+}
+
 /**
  * Remove flags from email(s)
  */
@@ -152,6 +351,101 @@ function addFlags(imap, uids, flags) {
   });
 }
 
+/**
+ * Add keywords (custom flags like $Forwarded) to email(s)
+ */
+function addKeywords(imap, uids, keywords) {
+  return new Promise((resolve, reject) => {
+    imap.addKeywords(uids, keywords, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, uids, keywords, action: "keywords_added" });
+    });
+  });
+}
+
+/**
+ * Remove keywords (custom flags) from email(s)
+ */
+function removeKeywords(imap, uids, keywords) {
+  return new Promise((resolve, reject) => {
+    imap.delKeywords(uids, keywords, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, uids, keywords, action: "keywords_removed" });
+    });
+  });
+}
+
+/**
+ * Add or remove system flags (\Seen) and keywords ($Label1) in one call
+ */
+async function changeFlags(imap, uids, { add = [], remove = [] }) {
+  const isSystemFlag = (flag) => flag.startsWith("\\");
+  const addFlagsList = add.filter(isSystemFlag);
+  const addKeywordsList = add.filter((flag) => !isSystemFlag(flag));
+  const removeFlagsList = remove.filter(isSystemFlag);
+  const removeKeywordsList = remove.filter((flag) => !isSystemFlag(flag));
+
+  if (addFlagsList.length > 0) await addFlags(imap, uids, addFlagsList);
+  if (addKeywordsList.length > 0) await addKeywords(imap, uids, addKeywordsList);
+  if (removeFlagsList.length > 0) await removeFlags(imap, uids, removeFlagsList);
+  if (removeKeywordsList.length > 0) await removeKeywords(imap, uids, removeKeywordsList);
+}
+
+/**
+ * Replace all flags and keywords of the emails with the given list. Removes
+ * everything the emails currently have that is not in the list (\Recent is
+ * session-only and cannot be changed).
+ */
+async function replaceFlags(imap, uids, flags) {
+  const emails = await fetchEmails(imap, uids, { bodies: [] });
+  const current = new Set(emails.flatMap((e) => e.flags || []));
+  const remove = [...current].filter((flag) => flag !== "\\Recent" && !flags.includes(flag));
+  await changeFlags(imap, uids, { add: flags, remove });
+}
+
+/**
+ * Flags and keywords the selected mailbox stores permanently (PERMANENTFLAGS).
+ * Without PERMANENTFLAGS (e.g. read-only) the server makes no statement.
+ */
+function permittedFlags(box) {
+  const reported = box.permFlags.length > 0 || box.keywords.length > 0 || box.newKeywords;
+  return {
+    reported,
+    flags: box.permFlags,
+    keywords: box.keywords,
+    customKeywords: box.newKeywords,
+  };
+}
+
+/**
+ * Throw if the selected mailbox cannot store some of the flags permanently
+ */
+function assertFlagsPermitted(box, flags) {
+  const permitted = permittedFlags(box);
+  if (!permitted.reported) return;
+
+  const denied = flags.filter((flag) =>
+    flag.startsWith("\\")
+      ? !permitted.flags.includes(flag)
+      : !permitted.customKeywords && !permitted.keywords.includes(flag)
+  );
+  if (denied.length > 0) {
+    throw new Error(`Folder does not permit these flags/keywords: ${denied.join(", ")} (see imap_list_flags)`);
+  }
+}
+
+/**
+ * Copy email(s) to another folder
+ */
+function copyEmails(imap, uids, targetFolder) {
+  return new Promise((resolve, reject) => {
+    imap.copy(uids, targetFolder, (err) => {
+      if (err) reject(err);
+      else resolve({ success: true, uids, targetFolder });
+    });
+  });
+}
+
 /**
  * Search emails by criteria
  */
@@ -164,6 +458,30 @@ function searchEmails(imap, criteria) {
   });
 }
 
+/**
+ * Sort emails server-side (requires SORT capability, returns UIDs)
+ */
+function sortEmails(imap, sortCriteria, searchCriteria) {
+  return new Promise((resolve, reject) => {
+    imap.sort(sortCriteria, searchCriteria, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+}
+
+/**
+ * Thread emails server-side (requires THREAD=<algorithm> capability, returns UIDs)
+ */
+function threadEmails(imap, algorithm, searchCriteria) {
+  return new Promise((resolve, reject) => {
+    imap.thread(algorithm, searchCriteria, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+}
+
 /**
  * Fetch email details
  */
@@ -177,6 +495,7 @@ function fetchEmails(imap, uids, options = {}) {
     const fetchOptions = {
       bodies: options.bodies || ["HEADER.FIELDS (FROM TO SUBJECT DATE MESSAGE-ID)"],
       struct: options.struct || false,
+      size: options.size || false,
     };
 
     const fetch = imap.fetch(uids, fetchOptions);
@@ -189,8 +508,8 @@ function fetchEmails(imap, uids, options = {}) {
         stream.on("data", (chunk) => (buffer += chunk.toString("utf8")));
         stream.once("end", () => {
           email.rawHeaders = buffer;
-          // Parse headers
-          const lines = buffer.split(/\r?\n/);
+          // Parse headers (unfold continuation lines first)
+          const lines = buffer.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/);
           for (const line of lines) {
             const match = line.match(/^([^:]+):\s*(.*)$/);
             if (match) {
@@ -204,6 +523,8 @@ function fetchEmails(imap, uids, options = {}) {
         email.uid = attrs.uid;
         email.flags = attrs.flags;
         email.date = attrs.date;
+        email.size = attrs.size;
+        if (options.struct) email.struct = attrs.struct;
       });
 
       msg.once("end", () => {
@@ -216,24 +537,206 @@ function fetchEmails(imap, uids, options = {}) {
   });
 }
 
+/**
+ * Fetch the complete raw message (RFC 822) as Buffer, null if not found
+ */
+function fetchRawEmail(imap, uid) {
+  return new Promise((resolve, reject) => {
+    const fetch = imap.fetch([uid], { bodies: "" });
+    const chunks = [];
+
+    fetch.on("message", (msg) => {
+      msg.on("body", (stream) => {
+        stream.on("data", (chunk) => chunks.push(chunk));
+      });
+    });
+
+    fetch.once("error", (err) => reject(err));
+    fetch.once("end", () => resolve(chunks.length > 0 ? Buffer.concat(chunks) : null));
+  });
+}
+
+/**
+ * Fetch the body structure of a message, null if not found
+ */
+function fetchStructure(imap, uid) {
+  return new Promise((resolve, reject) => {
+    const fetch = imap.fetch([uid], { struct: true });
+    let struct = null;
+
+    fetch.on("message", (msg) => {
+      msg.once("attributes", (attrs) => (struct = attrs.struct));
+    });
+
+    fetch.once("error", (err) => reject(err));
+    fetch.once("end", () => resolve(struct));
+  });
+}
+
+/**
+ * Fetch a single MIME part (BODY[partID]) as raw, still encoded Buffer
+ */
+function fetchMessagePart(imap, uid, partID) {
+  return new Promise((resolve, reject) => {
+    const fetch = imap.fetch([uid], { bodies: [partID] });
+    const chunks = [];
+
+    fetch.on("message", (msg) => {
+      msg.on("body", (stream) => {
+        stream.on("data", (chunk) => chunks.push(chunk));
+      });
+    });
+
+    fetch.once("error", (err) => reject(err));
+    fetch.once("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Load one attachment of a message (mailbox must be open).
+ * Fetches only the MIME part if possible, otherwise parses the full message.
+ */
+async function getAttachment(imap, uid, { index, contentId, maxBytes, partial = true }) {
+  const tooLarge = (size) =>
+    new Error(`Attachment too large (${size} bytes, limit ${maxBytes} bytes)`);
+
+  if (partial) {
+    const struct = await fetchStructure(imap, uid);
+    if (!struct) throw new Error(`Email with UID ${uid} not found`);
+
+    const parts = listAttachmentParts(struct);
+    const { attachment: part, index: i } = selectAttachment(parts, { index, contentId });
+
+    if (estimateDecodedSize(part) > maxBytes) throw tooLarge(estimateDecodedSize(part));
+
+    const content = decodePartBody(await fetchMessagePart(imap, uid, part.partID), part.encoding);
+    if (content) {
+      return {
+        index: i,
+        filename: part.filename,
+        contentType: part.contentType,
+        contentId: part.contentId,
+        size: content.length,
+        content,
+        fetchedPart: part.partID,
+      };
+    }
+    // Unsupported transfer encoding (e.g. quoted-printable) -> full parse
+  }
+
+  const rawEmail = await fetchRawEmail(imap, uid);
+  if (!rawEmail) throw new Error(`Email with UID ${uid} not found`);
+
+  const parsed = await simpleParser(rawEmail);
+  const attachments = (parsed.attachments || []).map((a) => ({
+    filename: a.filename || null,
+    contentType: a.contentType,
+    contentId: a.cid || null,
+    size: a.size,
+    content: a.content,
+  }));
+  const { attachment, index: i } = selectAttachment(attachments, { index, contentId });
+
+  if (attachment.size > maxBytes) throw tooLarge(attachment.size);
+
+  return { index: i, ...attachment, fetchedPart: null };
+}
+
+/**
+ * Compact email summary as returned by list/search tools
+ */
+function summarizeEmail(e) {
+  return {
+    uid: e.uid,
+    from: e.headers.from,
+    subject: e.headers.subject,
+    date: e.headers.date,
+    messageId: e.headers["message-id"],
+    flags: e.flags,
+  };
+}
+
+/**
+ * Message-IDs of the given UIDs (uid -> Message-ID), e.g. for the audit log
+ */
+async function fetchMessageIds(imap, uids) {
+  const emails = await fetchEmails(imap, uids, { bodies: ["HEADER.FIELDS (MESSAGE-ID)"] });
+  return new Map(emails.map((e) => [e.uid, e.headers["message-id"] || null]));
+}
+
+// Dry runs list at most this many emails (count is always the full number)
+const DRY_RUN_MAX_LISTED = 200;
+
+/**
+ * Dry-run response of a mutating tool: the emails it would affect (uid, from,
+ * subject, date) plus the planned action. Releases the connection, nothing is changed.
+ */
+async function dryRunResponse(imap, uids, plan) {
+  const listed = uids.slice(0, DRY_RUN_MAX_LISTED);
+  const messages = (await fetchEmails(imap, listed)).map(summarizeEmail);
+  const found = new Set(messages.map((m) => m.uid));
+  const notFound = listed.filter((uid) => !found.has(uid));
+
+  releaseImap(imap);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            dryRun: true,
+            ...plan,
+            count: uids.length - notFound.length,
+            messages,
+            ...(notFound.length > 0 && { notFound }),
+            ...(uids.length > listed.length && { truncated: true }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Dry-run response of a tool that does not touch emails (send, drafts,
+ * rules, templates, outbox): what it would do, nothing is changed.
+ */
+function dryRunPlanResponse(plan) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ success: true, dryRun: true, ...plan }, null, 2),
+      },
+    ],
+  };
+}
+
 // ============================================================================
 // MCP Server Setup
 // ============================================================================
 
-const mcpServer = new McpServer({
-  name: "imap-mcp",
-  version: "1.0.0",
-});
+// Tool definitions. Each API user gets its own McpServer containing only the
+// tools its permissions allow (see getMcpServer)
+const toolRegistry = [];
+
+function registerTool(name, description, paramsShape, handler) {
+  toolRegistry.push({ name, description, paramsShape, handler });
+}
 
 // ----------------------------------------------------------------------------
 // Tool: imap_list_accounts
 // ----------------------------------------------------------------------------
-mcpServer.tool(
+registerTool(
   "imap_list_accounts",
   "List all configured IMAP accounts",
   {},
-  async () => {
-    const accounts = getConfiguredAccounts();
+  async (args, { permissions }) => {
+    const accounts = getConfiguredAccounts().filter((a) => isAccountAllowed(permissions, a.key));
     return {
       content: [
         {
@@ -260,22 +763,28 @@ mcpServer.tool(
 // ----------------------------------------------------------------------------
 // Tool: imap_list_folders
 // ----------------------------------------------------------------------------
-mcpServer.tool(
+registerTool(
   "imap_list_folders",
-  "List all folders/mailboxes for an IMAP account",
+  "List all folders/mailboxes for an IMAP account with their special-use role (sent, drafts, trash, junk, archive, all). Roles can be used as folder aliases in all tools, e.g. 'role:trash'",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
   },
-  async ({ account }) => {
+  async ({ account }, { permissions }) => {
     let imap;
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
+      imap = await acquireImap(account);
 
       const boxes = await listMailboxes(imap);
-      const folders = flattenMailboxes(boxes);
+      const allFolders = flattenMailboxes(boxes);
+      // Roles from all folders, so that role: patterns resolve before filtering
+      const allRoles = detectFolderRoles(allFolders, config.accounts[account]);
+      const folders = allFolders.filter((f) => isFolderAllowed(permissions, account, f.name, allRoles));
+      const roles = Object.fromEntries(
+        Object.entries(allRoles).filter(([, name]) => folders.some((f) => f.name === name))
+      );
+      const roleOf = Object.fromEntries(Object.entries(roles).map(([role, name]) => [name, role]));
 
-      imap.end();
+      releaseImap(imap);
 
       return {
         content: [
@@ -285,7 +794,12 @@ mcpServer.tool(
               {
                 success: true,
                 account,
-                folders: folders.map((f) => f.name),
+                folders: folders.map((f) => ({
+                  name: f.name,
+                  role: roleOf[f.name] || null,
+                  flags: normalizeFlags(f.flags),
+                })),
+                roles,
                 count: folders.length,
               },
               null,
@@ -295,7 +809,7 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
+      if (imap) releaseImap(imap, error);
       return {
         content: [
           {
@@ -309,36 +823,40 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_list_emails
+// Tool: imap_create_folder
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_list_emails",
-  "List emails in a folder",
+registerTool(
+  "imap_create_folder",
+  "Create a folder, including missing parent folders (use '/' or the server's delimiter as separator)",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    folder: z.string().default("INBOX").describe("Folder name (default: INBOX)"),
-    limit: z.number().default(20).describe("Max number of emails to return"),
-    criteria: z
-      .string()
-      .default("ALL")
-      .describe("Search criteria: ALL, UNSEEN, SEEN, RECENT, etc."),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().describe("Folder path, e.g. 'Finance/2026'"),
+    subscribe: z.boolean().default(true).describe("Subscribe to the created folder(s)"),
+    dryRun: z.boolean().default(false).describe("Only report what would be done, change nothing"),
   },
-  async ({ account, folder, limit, criteria }) => {
+  async ({ account, folder, subscribe, dryRun }) => {
     let imap;
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, folder, true);
+      imap = await acquireImap(account);
+      const { path, delimiter, segments, folders } = await resolveFolderPath(imap, folder);
+      const existing = new Set(folders.map((f) => f.name));
 
-      // Parse criteria
-      const searchCriteria = criteria === "ALL" ? ["ALL"] : [criteria];
-      const uids = await searchEmails(imap, searchCriteria);
+      if (existing.has(path)) throw new Error(`Folder '${path}' already exists`);
 
-      // Get last N emails
-      const limitedUids = uids.slice(-limit);
-      const emails = await fetchEmails(imap, limitedUids);
+      // Create missing parents first, then the folder itself
+      const created = [];
+      for (let i = 1; i <= segments.length; i++) {
+        const partial = segments.slice(0, i).join(delimiter);
+        if (existing.has(partial) || partial.toUpperCase() === "INBOX") continue;
+        if (!dryRun) {
+          await createMailbox(imap, partial);
+          if (subscribe) await setMailboxSubscription(imap, partial, true);
+        }
+        created.push(partial);
+      }
+      if (!dryRun) folderRolesCache.delete(account);
 
-      imap.end();
+      releaseImap(imap);
 
       return {
         content: [
@@ -347,18 +865,12 @@ mcpServer.tool(
             text: JSON.stringify(
               {
                 success: true,
+                ...(dryRun && { dryRun }),
                 account,
-                folder,
-                total: uids.length,
-                returned: emails.length,
-                emails: emails.map((e) => ({
-                  uid: e.uid,
-                  from: e.headers.from,
-                  subject: e.headers.subject,
-                  date: e.headers.date,
-                  messageId: e.headers["message-id"],
-                  flags: e.flags,
-                })),
+                action: dryRun ? "create_folder" : "folder_created",
+                folder: path,
+                delimiter,
+                created,
               },
               null,
               2
@@ -367,7 +879,7 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
+      if (imap) releaseImap(imap, error);
       return {
         content: [
           {
@@ -381,27 +893,44 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_move_email
+// Tool: imap_rename_folder
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_move_email",
-  "Move an email to another folder",
+registerTool(
+  "imap_rename_folder",
+  "Rename or move a folder (missing parents of the new path are created)",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    sourceFolder: z.string().default("INBOX").describe("Source folder"),
-    uid: z.number().describe("Email UID to move"),
-    targetFolder: z.string().describe("Target folder path"),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().describe("Current folder path"),
+    newName: z.string().describe("New folder path, e.g. 'Archive/2025/Finance'"),
+    dryRun: z.boolean().default(false).describe("Only report what would be done, change nothing"),
   },
-  async ({ account, sourceFolder, uid, targetFolder }) => {
+  async ({ account, folder, newName, dryRun }) => {
     let imap;
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, sourceFolder, false);
+      imap = await acquireImap(account);
+      const source = await resolveFolderPath(imap, await resolveFolder(imap, account, folder));
+      const target = await resolveFolderPath(imap, newName);
+      const existing = new Set(source.folders.map((f) => f.name));
 
-      const result = await moveEmail(imap, uid, targetFolder);
+      if (source.path.toUpperCase() === "INBOX") throw new Error("INBOX cannot be renamed");
+      if (!existing.has(source.path)) throw new Error(`Folder '${source.path}' not found`);
+      if (existing.has(target.path)) throw new Error(`Folder '${target.path}' already exists`);
 
-      imap.end();
+      const created = [];
+      for (let i = 1; i < target.segments.length; i++) {
+        const parent = target.segments.slice(0, i).join(target.delimiter);
+        if (existing.has(parent) || parent.toUpperCase() === "INBOX") continue;
+        if (!dryRun) await createMailbox(imap, parent);
+        created.push(parent);
+      }
+
+      if (!dryRun) {
+        await closeMailbox(imap);
+        await renameMailbox(imap, source.path, target.path);
+        folderRolesCache.delete(account);
+      }
+
+      releaseImap(imap);
 
       return {
         content: [
@@ -410,11 +939,12 @@ mcpServer.tool(
             text: JSON.stringify(
               {
                 success: true,
+                ...(dryRun && { dryRun }),
                 account,
-                action: "moved",
-                uid,
-                from: sourceFolder,
-                to: targetFolder,
+                action: dryRun ? "rename_folder" : "folder_renamed",
+                from: source.path,
+                to: target.path,
+                createdParents: created,
               },
               null,
               2
@@ -423,7 +953,7 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
+      if (imap) releaseImap(imap, error);
       return {
         content: [
           {
@@ -437,46 +967,75 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_move_by_message_id
+// Tool: imap_delete_folder
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_move_by_message_id",
-  "Move an email by Message-ID to another folder",
+registerTool(
+  "imap_delete_folder",
+  "Delete a folder. Refuses folders with subfolders and special folders; non-empty folders require confirm = folder path",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    sourceFolder: z.string().default("INBOX").describe("Source folder"),
-    messageId: z.string().describe("Email Message-ID header"),
-    targetFolder: z.string().describe("Target folder path"),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().describe("Folder path to delete"),
+    confirm: z
+      .string()
+      .optional()
+      .describe("Required if the folder contains messages: repeat the exact folder path to confirm"),
+    dryRun: z
+      .boolean()
+      .default(false)
+      .describe("Only report which emails would be deleted with the folder, change nothing"),
   },
-  async ({ account, sourceFolder, messageId, targetFolder }) => {
+  async ({ account, folder, confirm, dryRun }) => {
     let imap;
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, sourceFolder, false);
+      imap = await acquireImap(account);
+      const { path, delimiter, folders } = await resolveFolderPath(imap, await resolveFolder(imap, account, folder));
+      const box = folders.find((f) => f.name === path);
 
-      // Search by Message-ID
-      const uids = await searchEmails(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+      if (!box) throw new Error(`Folder '${path}' not found`);
+      if (path.toUpperCase() === "INBOX") throw new Error("INBOX cannot be deleted");
 
-      if (uids.length === 0) {
-        imap.end();
+      // Special folders (Sent, Trash, ...) are used by mail clients and this server
+      const role = Object.entries(detectFolderRoles(folders, config.accounts[account])).find(
+        ([, name]) => name === path
+      )?.[0];
+      if (role) throw new Error(`Folder '${path}' is the ${role} folder and cannot be deleted`);
+
+      const children = folders.filter((f) => f.name.startsWith(path + delimiter)).map((f) => f.name);
+      if (children.length > 0) {
+        throw new Error(`Folder '${path}' has subfolders, delete them first: ${children.join(", ")}`);
+      }
+
+      if (dryRun) {
+        await openMailbox(imap, path, true);
+        const uids = await searchEmails(imap, ["ALL"]);
+        return await dryRunResponse(imap, uids, { account, action: "delete_folder", folder: path });
+      }
+
+      const status = await mailboxStatus(imap, path);
+      const messageCount = status.messages.total;
+      if (messageCount > 0 && confirm !== path) {
+        releaseImap(imap);
         return {
           content: [
             {
               type: "text",
               text: JSON.stringify({
                 success: false,
-                error: `Email with Message-ID '${messageId}' not found in ${sourceFolder}`,
+                account,
+                folder: path,
+                messages: messageCount,
+                error: `Folder '${path}' contains ${messageCount} message(s). Set confirm to '${path}' to delete it anyway.`,
               }),
             },
           ],
         };
       }
 
-      const uid = uids[0];
-      await moveEmail(imap, uid, targetFolder);
+      await closeMailbox(imap);
+      await deleteMailbox(imap, path);
+      folderRolesCache.delete(account);
 
-      imap.end();
+      releaseImap(imap);
 
       return {
         content: [
@@ -486,11 +1045,9 @@ mcpServer.tool(
               {
                 success: true,
                 account,
-                action: "moved",
-                messageId,
-                uid,
-                from: sourceFolder,
-                to: targetFolder,
+                action: "folder_deleted",
+                folder: path,
+                deletedMessages: messageCount,
               },
               null,
               2
@@ -499,7 +1056,7 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
+      if (imap) releaseImap(imap, error);
       return {
         content: [
           {
@@ -513,26 +1070,3748 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_delete_email
+// Tool: imap_subscribe_folder
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_delete_email",
-  "Delete an email (marks as deleted and expunges)",
+registerTool(
+  "imap_subscribe_folder",
+  "Subscribe to or unsubscribe from a folder (controls visibility in mail clients)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().describe("Folder path"),
+    subscribe: z.boolean().default(true).describe("true = subscribe, false = unsubscribe"),
+    dryRun: z.boolean().default(false).describe("Only report what would be done, change nothing"),
+  },
+  async ({ account, folder, subscribe, dryRun }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      const { path, folders } = await resolveFolderPath(imap, await resolveFolder(imap, account, folder));
+      if (!folders.some((f) => f.name === path)) throw new Error(`Folder '${path}' not found`);
+
+      if (!dryRun) await setMailboxSubscription(imap, path, subscribe);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                ...(dryRun && { dryRun }),
+                account,
+                action: `${subscribe ? "subscribe" : "unsubscribe"}${dryRun ? "" : "d"}`,
+                folder: path,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_list_emails
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_list_emails",
+  "List emails in a folder",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder name or role alias like 'role:junk' (default: INBOX)"),
+    limit: z.number().default(20).describe("Max number of emails to return (page size)"),
+    criteria: z
+      .string()
+      .default("ALL")
+      .describe("Search criteria: ALL, UNSEEN, SEEN, RECENT, etc."),
+    sort: z
+      .enum(["arrival", "date", "from", "subject", "size"])
+      .default("arrival")
+      .describe("Sort field (default: arrival)"),
+    order: z.enum(["asc", "desc"]).default("desc").describe("Sort order (default: desc = newest first)"),
+    cursor: z.string().optional().describe("Cursor from a previous response (nextCursor) to get the next page"),
+  },
+  async ({ account, folder, limit, criteria, sort, order, cursor }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      const box = await openMailbox(imap, folder, true);
+
+      const context = { folder, uidvalidity: box.uidvalidity, sort, order, criteria };
+      const cursorState = cursor ? decodeCursor(cursor, context) : null;
+
+      // Parse criteria
+      const searchCriteria = criteria === "ALL" ? ["ALL"] : [criteria];
+
+      // Sorted UID list of all matching emails
+      let uids;
+      if (sort === "arrival") {
+        uids = (await searchEmails(imap, searchCriteria)).sort((a, b) => a - b);
+        if (order === "desc") uids.reverse();
+      } else if (imap.serverSupports("SORT")) {
+        const key = (order === "desc" ? "-" : "") + SORT_KEYS[sort];
+        uids = await sortEmails(imap, [key], searchCriteria);
+      } else {
+        // Fallback: fetch sort keys and sort locally
+        const all = await searchEmails(imap, searchCriteria);
+        const meta = await fetchEmails(imap, all, {
+          bodies: ["HEADER.FIELDS (DATE FROM SUBJECT)"],
+          size: sort === "size",
+        });
+        uids = sortUidsClientSide(meta, sort, order);
+      }
+
+      // Current page
+      const start = pageStart(uids, cursorState);
+      const pageUids = uids.slice(start, start + limit);
+      const fetched = await fetchEmails(imap, pageUids);
+      const byUid = new Map(fetched.map((e) => [e.uid, e]));
+      const emails = pageUids.map((uid) => byUid.get(uid)).filter(Boolean);
+
+      const end = start + pageUids.length;
+      const nextCursor =
+        end < uids.length
+          ? encodeCursor({ ...context, offset: end, lastUid: pageUids[pageUids.length - 1] })
+          : null;
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                total: uids.length,
+                returned: emails.length,
+                sort,
+                order,
+                nextCursor,
+                emails: emails.map(summarizeEmail),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// Max time per account for imap_unified_inbox before it is reported as failed
+const UNIFIED_ACCOUNT_TIMEOUT = 30 * 1000;
+
+/**
+ * Newest emails of one account for imap_unified_inbox (by Date via SORT if
+ * available, else by arrival)
+ */
+async function listAccountInbox(account, folder, criteria, limit, permissions) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    folder = await resolveFolder(imap, account, folder);
+    await checkAccess(permissions, { account, folder }, imap);
+    await openMailbox(imap, folder, true);
+
+    const searchCriteria = criteria === "ALL" ? ["ALL"] : [criteria];
+    const uids = imap.serverSupports("SORT")
+      ? await sortEmails(imap, ["-DATE"], searchCriteria)
+      : (await searchEmails(imap, searchCriteria)).sort((a, b) => b - a);
+    const emails = await fetchEmails(imap, uids.slice(0, limit));
+
+    releaseImap(imap);
+    return { account, folder, total: uids.length, emails };
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    throw error;
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Sort key of an email: Date header, else INTERNALDATE
+function emailTime(email) {
+  const time = Date.parse(email.headers.date);
+  return Number.isNaN(time) ? new Date(email.date || 0).getTime() : time;
+}
+
+// ----------------------------------------------------------------------------
+// Tool: imap_unified_inbox
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_unified_inbox",
+  "List the newest emails of all (or selected) accounts in one call, merged by date and tagged with their account. Accounts that fail are reported in 'errors', the others are still returned",
+  {
+    accounts: z.array(z.string()).optional().describe("Account keys (default: all configured accounts)"),
+    folder: z
+      .string()
+      .default("INBOX")
+      .describe("Folder name or role alias, resolved per account (e.g. 'role:sent' for all Sent folders)"),
+    limit: z.number().default(20).describe("Max number of emails to return in total"),
+    criteria: z
+      .string()
+      .default("ALL")
+      .describe("Search criteria: ALL, UNSEEN, SEEN, RECENT, etc."),
+  },
+  async ({ accounts, folder, limit, criteria }, { permissions }) => {
+    try {
+      const configured = getConfiguredAccounts().map((a) => a.key);
+      const unknown = (accounts || []).filter((key) => !configured.includes(key));
+      if (unknown.length > 0) throw new Error(`Account(s) not configured: ${unknown.join(", ")}`);
+
+      // Without an explicit list only the accounts this API key may use
+      const selected = accounts || configured.filter((key) => isAccountAllowed(permissions, key));
+      if (selected.length === 0) throw new Error("No accounts available");
+
+      const results = await Promise.allSettled(
+        selected.map(async (account) => {
+          assertAccess(permissions, { account });
+          return withTimeout(
+            listAccountInbox(account, folder, criteria, limit, permissions),
+            UNIFIED_ACCOUNT_TIMEOUT,
+            `No response within ${UNIFIED_ACCOUNT_TIMEOUT / 1000}s`
+          );
+        })
+      );
+
+      const summary = [];
+      const errors = [];
+      const emails = [];
+      results.forEach((result, i) => {
+        const account = selected[i];
+        if (result.status === "rejected") {
+          errors.push({ account, error: result.reason.message });
+          console.error(`[Unified] ${account}: ${result.reason.message}`);
+          return;
+        }
+        const { folder: resolved, total } = result.value;
+        summary.push({ account, folder: resolved, total });
+        emails.push(...result.value.emails.map((email) => ({ account, email })));
+      });
+
+      if (summary.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: false, error: "All accounts failed", errors }, null, 2),
+            },
+          ],
+        };
+      }
+
+      emails.sort((a, b) => emailTime(b.email) - emailTime(a.email));
+      const page = emails.slice(0, limit);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                accounts: summary,
+                errors,
+                total: summary.reduce((sum, entry) => sum + entry.total, 0),
+                returned: page.length,
+                emails: page.map(({ account, email }) => ({ account, ...summarizeEmail(email) })),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_search
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_search",
+  "Search emails in a folder with structured criteria (sender, subject, dates, flags, size, headers, OR/NOT groups)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder name or role alias like 'role:junk' (default: INBOX)"),
+    limit: z.number().default(20).describe("Max number of emails to return"),
+    ...searchQueryShape,
+  },
+  async ({ account, folder, limit, ...query }) => {
+    let imap;
+    try {
+      const criteriaSets = buildSearchCriteria(query);
+
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, true);
+
+      // Mehrere Kriterienlisten (ODER-Gruppen) -> Ergebnisse vereinigen
+      const uidSet = new Set();
+      for (const criteria of criteriaSets) {
+        for (const uid of await searchEmails(imap, criteria)) uidSet.add(uid);
+      }
+      const uids = [...uidSet].sort((a, b) => a - b);
+
+      // Get last N emails
+      const limitedUids = uids.slice(-limit);
+      const emails = await fetchEmails(imap, limitedUids);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                total: uids.length,
+                returned: emails.length,
+                emails: emails.map(summarizeEmail),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_move_email
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_move_email",
+  "Move an email to another folder",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    sourceFolder: z.string().default("INBOX").describe("Source folder or role alias"),
+    uid: z.number().describe("Email UID to move"),
+    targetFolder: z.string().describe("Target folder path or role alias like 'role:archive'"),
+    dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+  },
+  async ({ account, sourceFolder, uid, targetFolder, dryRun }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      sourceFolder = await resolveFolder(imap, account, sourceFolder);
+      targetFolder = await resolveFolder(imap, account, targetFolder);
+      await openMailbox(imap, sourceFolder, dryRun);
+
+      if (dryRun) {
+        return await dryRunResponse(imap, [uid], { account, action: "move", from: sourceFolder, to: targetFolder });
+      }
+
+      const messageIds = await fetchMessageIds(imap, [uid]);
+      const result = await moveEmail(imap, uid, targetFolder);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: "moved",
+                uid,
+                messageId: messageIds.get(uid) || null,
+                from: sourceFolder,
+                to: targetFolder,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_move_by_message_id
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_move_by_message_id",
+  "Move an email by Message-ID to another folder",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    sourceFolder: z.string().default("INBOX").describe("Source folder or role alias"),
+    messageId: z.string().describe("Email Message-ID header"),
+    targetFolder: z.string().describe("Target folder path or role alias like 'role:archive'"),
+    dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+  },
+  async ({ account, sourceFolder, messageId, targetFolder, dryRun }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      sourceFolder = await resolveFolder(imap, account, sourceFolder);
+      targetFolder = await resolveFolder(imap, account, targetFolder);
+      await openMailbox(imap, sourceFolder, dryRun);
+
+      // Search by Message-ID
+      const uids = await searchEmails(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+
+      if (uids.length === 0) {
+        releaseImap(imap);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                success: false,
+                error: `Email with Message-ID '${messageId}' not found in ${sourceFolder}`,
+              }),
+            },
+          ],
+        };
+      }
+
+      const uid = uids[0];
+      if (dryRun) {
+        return await dryRunResponse(imap, [uid], { account, action: "move", from: sourceFolder, to: targetFolder });
+      }
+
+      await moveEmail(imap, uid, targetFolder);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: "moved",
+                messageId,
+                uid,
+                from: sourceFolder,
+                to: targetFolder,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_delete_email
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_delete_email",
+  "Delete an email: moves it to the Trash folder and returns an undo token for imap_undo. Emails already in Trash or with permanent = true are expunged",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the email (or role alias)"),
+    uid: z.number().describe("Email UID to delete"),
+    permanent: z
+      .boolean()
+      .default(false)
+      .describe("Delete permanently (expunge only this message) instead of moving it to Trash"),
+    dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+  },
+  async ({ account, folder, uid, permanent, dryRun }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, dryRun);
+
+      const found = await searchEmails(imap, [["UID", uid]]);
+      if (found.length === 0) throw new Error(`Email with UID ${uid} not found in ${folder}`);
+
+      const trashFolder = permanent ? null : await findSpecialFolder(imap, config.accounts[account], "trash");
+
+      if (dryRun) {
+        const plan =
+          permanent || folder === trashFolder
+            ? { action: "delete_permanently", folder }
+            : { action: "move_to_trash", folder, trashFolder };
+        return await dryRunResponse(imap, [uid], { account, ...plan });
+      }
+
+      let result;
+      if (permanent || folder === trashFolder) {
+        const messageIds = await fetchMessageIds(imap, [uid]);
+        await removeMessages(imap, [uid]);
+        result = { action: "deleted_permanently", uid, messageId: messageIds.get(uid) || null, folder };
+      } else {
+        const trashed = await trashEmail(imap, uid, trashFolder);
+        const undoToken =
+          trashed.trashUid || trashed.messageId
+            ? encodeUndoToken({
+                action: "delete",
+                account,
+                folder: trashFolder,
+                uid: trashed.trashUid,
+                uidvalidity: trashed.uidvalidity,
+                messageId: trashed.messageId,
+                restoreTo: folder,
+              })
+            : null;
+        result = {
+          action: "moved_to_trash",
+          uid,
+          messageId: trashed.messageId,
+          folder,
+          trashFolder,
+          trashUid: trashed.trashUid,
+          undoToken,
+        };
+      }
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                ...result,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_undo
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_undo",
+  "Undo a delete: moves the email from Trash back to its original folder (undo token from imap_delete_email)",
+  {
+    token: z.string().describe("Undo token returned by imap_delete_email"),
+    dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+  },
+  async ({ token, dryRun }) => {
+    let imap;
+    try {
+      const state = decodeUndoToken(token);
+      const { account } = state;
+
+      imap = await acquireImap(account);
+      const box = await openMailbox(imap, state.folder, dryRun);
+
+      // UID is only valid while UIDVALIDITY is unchanged, else by Message-ID
+      let uid = null;
+      if (state.uid && box.uidvalidity === state.uidvalidity) {
+        const found = await searchEmails(imap, [["UID", state.uid]]);
+        if (found.length > 0) uid = state.uid;
+      }
+      if (!uid && state.messageId) {
+        const found = await searchEmails(imap, [["HEADER", "MESSAGE-ID", state.messageId]]);
+        if (found.length > 0) uid = Math.max(...found);
+      }
+      if (!uid) {
+        throw new Error(`Email is no longer in ${state.folder} (already restored or permanently deleted)`);
+      }
+
+      if (dryRun) {
+        return await dryRunResponse(imap, [uid], { account, action: "restore", from: state.folder, to: state.restoreTo });
+      }
+
+      const moved = await moveEmail(imap, uid, state.restoreTo);
+      let restoredUid = Number.parseInt(moved.targetUids, 10) || null;
+      if (!restoredUid && state.messageId) {
+        await openMailbox(imap, state.restoreTo, true);
+        const found = await searchEmails(imap, [["HEADER", "MESSAGE-ID", state.messageId]]);
+        restoredUid = found.length > 0 ? Math.max(...found) : null;
+      }
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: "restored",
+                from: state.folder,
+                to: state.restoreTo,
+                uid: restoredUid,
+                messageId: state.messageId || null,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// Selection and safety parameters shared by the bulk tools
+const bulkSelectionShape = {
+  uids: z.array(z.number()).optional().describe("Email UIDs (alternative to criteria)"),
+  criteria: searchQuerySchema
+    .optional()
+    .describe("Select all emails matching these imap_search fields, e.g. { from: 'newsletter@x.com', before: '2026-01-01' }"),
+  maxMessages: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(`Allow more affected emails than the default cap of ${config.bulkMaxMessages}`),
+  dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+};
+
+// ----------------------------------------------------------------------------
+// Tool: imap_bulk_move
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_bulk_move",
+  "Move multiple emails, selected by UIDs or search criteria, to a folder (one UID MOVE per batch)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    sourceFolder: z.string().default("INBOX").describe("Source folder or role alias"),
+    targetFolder: z.string().describe("Target folder path or role alias like 'role:archive'"),
+    ...bulkSelectionShape,
+  },
+  async ({ account, sourceFolder, targetFolder, dryRun, maxMessages, ...selection }, extra) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      sourceFolder = await resolveFolder(imap, account, sourceFolder);
+      targetFolder = await resolveFolder(imap, account, targetFolder);
+
+      const plan = { account, action: "bulk_move", from: sourceFolder, to: targetFolder };
+      return await runBulkOperation(imap, sourceFolder, selection, { dryRun, maxMessages, plan, extra }, (batch) =>
+        moveBatch(imap, batch, targetFolder)
+      );
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_bulk_copy
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_bulk_copy",
+  "Copy multiple emails, selected by UIDs or search criteria, to a folder (one UID COPY per batch)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    sourceFolder: z.string().default("INBOX").describe("Source folder or role alias"),
+    targetFolder: z.string().describe("Target folder path or role alias like 'role:archive'"),
+    ...bulkSelectionShape,
+  },
+  async ({ account, sourceFolder, targetFolder, dryRun, maxMessages, ...selection }, extra) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      sourceFolder = await resolveFolder(imap, account, sourceFolder);
+      targetFolder = await resolveFolder(imap, account, targetFolder);
+
+      const plan = { account, action: "bulk_copy", from: sourceFolder, to: targetFolder };
+      return await runBulkOperation(imap, sourceFolder, selection, { dryRun, maxMessages, plan, extra }, (batch) =>
+        copyEmails(imap, batch, targetFolder)
+      );
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_bulk_delete
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_bulk_delete",
+  "Delete multiple emails, selected by UIDs or search criteria: moves them to Trash, or expunges them if permanent = true or already in Trash",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the emails (or role alias)"),
+    permanent: z.boolean().default(false).describe("Delete permanently instead of moving to Trash"),
+    ...bulkSelectionShape,
+  },
+  async ({ account, folder, permanent, dryRun, maxMessages, ...selection }, extra) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      const trashFolder = permanent ? null : await findSpecialFolder(imap, config.accounts[account], "trash");
+      const expunge = permanent || folder === trashFolder;
+
+      const plan = expunge
+        ? { account, action: "bulk_delete_permanently", folder }
+        : { account, action: "bulk_move_to_trash", folder, trashFolder };
+      return await runBulkOperation(imap, folder, selection, { dryRun, maxMessages, plan, extra }, (batch) =>
+        expunge ? removeMessages(imap, batch) : moveBatch(imap, batch, trashFolder)
+      );
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_bulk_flag
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_bulk_flag",
+  "Add or remove flags/keywords on multiple emails, selected by UIDs or search criteria (one STORE per batch)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the emails (or role alias)"),
+    add: z.array(z.string()).default([]).describe("Flags/keywords to add, e.g. ['\\Seen', '$Invoice']"),
+    remove: z.array(z.string()).default([]).describe("Flags/keywords to remove"),
+    ...bulkSelectionShape,
+  },
+  async ({ account, folder, add, remove, dryRun, maxMessages, ...selection }, extra) => {
+    let imap;
+    try {
+      if (add.length === 0 && remove.length === 0) throw new Error("Provide flags to add or remove");
+
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+
+      const plan = { account, action: "bulk_flag", folder, add, remove };
+      return await runBulkOperation(imap, folder, selection, { dryRun, maxMessages, plan, extra }, (batch) =>
+        changeFlags(imap, batch, { add, remove })
+      );
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_set_flags
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_set_flags",
+  "Add, remove or replace system flags (\\Seen, \\Flagged, \\Answered, ...) and custom keywords ($Label1, Todo) on emails selected by UIDs or search criteria. Use keywords as labels for workflows",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the emails (or role alias)"),
+    mode: z
+      .enum(["add", "remove", "replace"])
+      .default("add")
+      .describe("add/remove the given flags, or replace = the emails end up with exactly these flags"),
+    flags: z.array(z.string().min(1)).describe("System flags (with backslash) and/or keywords, e.g. ['\\Flagged', 'Todo']"),
+    ...bulkSelectionShape,
+  },
+  async ({ account, folder, mode, flags, dryRun, maxMessages, ...selection }, extra) => {
+    let imap;
+    try {
+      if (flags.length === 0 && mode !== "replace") throw new Error("Provide at least one flag");
+
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+
+      const plan = { account, action: "set_flags", folder, mode, flags };
+      const check = mode === "remove" ? null : (box) => assertFlagsPermitted(box, flags);
+      return await runBulkOperation(imap, folder, selection, { dryRun, maxMessages, plan, extra, check }, (batch) => {
+        if (mode === "replace") return replaceFlags(imap, batch, flags);
+        return changeFlags(imap, batch, mode === "add" ? { add: flags } : { remove: flags });
+      });
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_list_flags
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_list_flags",
+  "List the flags and keywords of a folder: defined ones (FLAGS) and those that can be stored permanently (PERMANENTFLAGS), incl. whether new custom keywords are allowed",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder name or role alias (default: INBOX)"),
+  },
+  async ({ account, folder }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      // PERMANENTFLAGS is only meaningful for SELECT, EXAMINE reports none
+      const box = await openMailbox(imap, folder, false);
+      const permitted = permittedFlags(box);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                flags: box.flags.filter((flag) => flag.startsWith("\\")),
+                keywords: box.flags.filter((flag) => !flag.startsWith("\\")),
+                permanentFlags: permitted.reported ? [...permitted.flags, ...permitted.keywords] : null,
+                customKeywords: permitted.reported ? permitted.customKeywords : null,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_mark_unseen
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_mark_unseen",
+  "Mark emails as unseen/unread by removing the \\Seen flag",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the emails"),
+    uids: z.array(z.number()).optional().describe("Array of email UIDs to mark unseen (if not provided, marks ALL emails in folder)"),
+    all: z.boolean().default(false).describe("Mark ALL emails in folder as unseen"),
+    dryRun: z.boolean().default(false).describe("Only report which emails would be affected, change nothing"),
+  },
+  async ({ account, folder, uids, all, dryRun }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, dryRun);
+
+      let targetUids = uids;
+
+      // If all=true or no UIDs provided, get all emails in folder
+      if (all || !uids || uids.length === 0) {
+        targetUids = await searchEmails(imap, ["ALL"]);
+      }
+
+      if (!targetUids || targetUids.length === 0) {
+        releaseImap(imap);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                success: true,
+                account,
+                folder,
+                message: "No emails to mark as unseen",
+                count: 0,
+              }),
+            },
+          ],
+        };
+      }
+
+      if (dryRun) {
+        return await dryRunResponse(imap, targetUids, { account, action: "mark_unseen", folder });
+      }
+
+      // Remove \Seen flag from all target UIDs
+      await removeFlags(imap, targetUids, ["\\Seen"]);
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                action: "marked_unseen",
+                count: targetUids.length,
+                uids: targetUids.length <= 50 ? targetUids : `${targetUids.length} emails (list truncated)`,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_read_email
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_read_email",
+  "Read the full content of an email by UID (body, headers, attachments info)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the email (or role alias)"),
+    uid: z.number().describe("Email UID to read"),
+  },
+  async ({ account, folder, uid }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, true);
+
+      // Fetch the full email (headers + body)
+      const rawEmail = await fetchRawEmail(imap, uid);
+
+      if (!rawEmail) {
+        releaseImap(imap);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ success: false, error: `Email with UID ${uid} not found in ${folder}` }),
+          }],
+        };
+      }
+
+      // Parse with mailparser
+      const parsed = await simpleParser(rawEmail);
+
+      releaseImap(imap);
+
+      // Build response with text body, HTML body, and attachment metadata
+      const result = {
+        success: true,
+        account,
+        folder,
+        uid,
+        from: parsed.from?.text || "",
+        to: parsed.to?.text || "",
+        cc: parsed.cc?.text || "",
+        subject: parsed.subject || "",
+        date: parsed.date?.toISOString() || "",
+        messageId: parsed.messageId || "",
+        text: parsed.text || "",
+        html: parsed.html || "",
+        attachments: (parsed.attachments || []).map((a, index) => ({
+          index,
+          filename: a.filename,
+          contentType: a.contentType,
+          contentId: a.cid,
+          size: a.size,
+        })),
+      };
+
+      // Truncate very large bodies to avoid overwhelming responses
+      if (result.text.length > 50000) {
+        result.text = result.text.substring(0, 50000) + "\n\n[... truncated, total length: " + parsed.text.length + " chars]";
+      }
+      if (result.html && result.html.length > 50000) {
+        result.html = result.html.substring(0, 50000) + "\n\n[... truncated]";
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        }],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ success: false, error: error.message }),
+        }],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_get_attachment
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_get_attachment",
+  "Download an attachment of an email (by index from imap_read_email or by Content-ID) as base64 resource",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the email (or role alias)"),
+    uid: z.number().describe("Email UID"),
+    index: z.number().int().nonnegative().optional().describe("Attachment index as listed by imap_read_email (default: 0)"),
+    contentId: z.string().optional().describe("Content-ID of the attachment (e.g. inline image), alternative to index"),
+    maxBytes: z
+      .number()
+      .int()
+      .positive()
+      .optional()
+      .describe(`Max attachment size in bytes (default and upper limit: ${config.attachmentMaxBytes})`),
+    partial: z
+      .boolean()
+      .default(true)
+      .describe("Fetch only the attachment's MIME part instead of the whole message"),
+  },
+  async ({ account, folder, uid, index, contentId, maxBytes, partial }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, true);
+
+      const limit = Math.min(maxBytes || config.attachmentMaxBytes, config.attachmentMaxBytes);
+      const attachment = await getAttachment(imap, uid, { index, contentId, maxBytes: limit, partial });
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                uid,
+                index: attachment.index,
+                filename: attachment.filename,
+                contentType: attachment.contentType,
+                contentId: attachment.contentId,
+                size: attachment.size,
+                fetchedPart: attachment.fetchedPart,
+              },
+              null,
+              2
+            ),
+          },
+          {
+            type: "resource",
+            resource: {
+              uri: `imap://${account}/${encodeURIComponent(folder)}/${uid}/attachments/${attachment.index}`,
+              mimeType: attachment.contentType,
+              blob: attachment.content.toString("base64"),
+            },
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// Thread Helper Functions
+// ============================================================================
+
+const THREAD_HEADER_FIELDS = "HEADER.FIELDS (FROM TO SUBJECT DATE MESSAGE-ID IN-REPLY-TO REFERENCES)";
+
+/**
+ * Find all messages in the open mailbox that belong to a set of Message-IDs
+ * (the message itself, or referencing it), expanding the set with each hit.
+ *
+ * @returns {Promise<Map<number, object>>} uid -> email with thread headers
+ */
+async function collectThreadMessages(imap, seedIds, maxMessages) {
+  const found = new Map();
+  const knownIds = new Set(seedIds);
+  const queue = [...seedIds];
+
+  while (queue.length > 0 && found.size < maxMessages) {
+    const id = queue.shift();
+    const uids = new Set();
+    for (const header of ["MESSAGE-ID", "REFERENCES", "IN-REPLY-TO"]) {
+      for (const uid of await searchEmails(imap, [["HEADER", header, id]])) uids.add(uid);
+    }
+
+    const newUids = [...uids].filter((uid) => !found.has(uid)).slice(0, maxMessages - found.size);
+    const emails = await fetchEmails(imap, newUids, { bodies: [THREAD_HEADER_FIELDS], struct: true });
+
+    for (const email of emails) {
+      found.set(email.uid, email);
+      const { messageId, inReplyTo, references } = threadIdsOf(email);
+      for (const next of [messageId, inReplyTo, ...references]) {
+        if (next && !knownIds.has(next)) {
+          knownIds.add(next);
+          queue.push(next);
+        }
+      }
+    }
+  }
+
+  return found;
+}
+
+// Largest text part fetched for a snippet
+const SNIPPET_MAX_PART_BYTES = 64 * 1024;
+
+/**
+ * Snippet of a message from its text body part only (BODY[part] per the
+ * fetched structure), null without text part or if the part is too large
+ */
+async function fetchSnippet(imap, email, snippetLength) {
+  const part = findTextPart(email.struct);
+  if (!part || part.encodedSize > SNIPPET_MAX_PART_BYTES) return null;
+
+  // Wrap the part into a minimal message, mailparser then decodes transfer encoding and charset
+  const head =
+    `Content-Type: ${part.contentType}; charset="${part.charset}"\r\n` +
+    `Content-Transfer-Encoding: ${part.encoding}\r\n\r\n`;
+  const body = await fetchMessagePart(imap, email.uid, part.partID);
+  const parsed = await simpleParser(Buffer.concat([Buffer.from(head), body]));
+  return makeSnippet(parsed.text, snippetLength);
+}
+
+/**
+ * Convert fetched thread messages of the open mailbox (with struct) into tree
+ * entries with snippets
+ */
+async function toThreadEntries(imap, folder, emails, snippetLength) {
+  const entries = [];
+  for (const email of emails) {
+    const snippet = await fetchSnippet(imap, email, snippetLength);
+
+    entries.push({
+      folder,
+      uid: email.uid,
+      ...threadIdsOf(email),
+      from: email.headers.from,
+      to: email.headers.to,
+      subject: email.headers.subject,
+      date: email.headers.date,
+      flags: email.flags,
+      snippet,
+    });
+  }
+  return entries;
+}
+
+// Remove internal threading fields from the tree for the response
+function formatThreadNode({ inReplyTo, references, children, ...node }) {
+  return { ...node, children: children.map(formatThreadNode) };
+}
+
+// ----------------------------------------------------------------------------
+// Tool: imap_get_thread
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_get_thread",
+  "Get the conversation an email belongs to as ordered reply tree with snippets (via References/In-Reply-To or THREAD)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the email (or role alias)"),
+    uid: z.number().optional().describe("UID of an email in the thread"),
+    messageId: z.string().optional().describe("Message-ID of an email in the thread (alternative to uid)"),
+    includeSent: z.boolean().default(false).describe("Also include own replies from the Sent folder"),
+    maxMessages: z.number().int().positive().default(50).describe("Max number of messages per folder"),
+    snippetLength: z.number().int().nonnegative().default(200).describe("Length of text snippets"),
+  },
+  async ({ account, folder, uid, messageId, includeSent, maxMessages, snippetLength }, { permissions }) => {
+    let imap;
+    try {
+      if (!uid && !messageId) throw new Error("Either uid or messageId is required");
+
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      await openMailbox(imap, folder, true);
+
+      // Resolve the starting message
+      let startUid = uid;
+      if (!startUid) {
+        const uids = await searchEmails(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+        if (uids.length === 0) throw new Error(`Email with Message-ID '${messageId}' not found in ${folder}`);
+        startUid = uids[0];
+      }
+      const [start] = await fetchEmails(imap, [startUid], { bodies: [THREAD_HEADER_FIELDS], struct: true });
+      if (!start) throw new Error(`Email with UID ${startUid} not found in ${folder}`);
+
+      const ids = threadIdsOf(start);
+      const seedIds = [ids.messageId, ids.inReplyTo, ...ids.references].filter(Boolean);
+
+      // Messages of the thread in this folder: THREAD extension or header search
+      let messages;
+      let method;
+      if (imap.serverSupports("THREAD=REFERENCES")) {
+        // Only the messages carrying or referencing the thread's ids, not the whole folder
+        const threads = seedIds.length > 0 ? await threadEmails(imap, "REFERENCES", threadSearchCriteria(seedIds)) : [];
+        const uids = findThreadUids(threads, startUid).slice(0, maxMessages);
+        messages = await fetchEmails(imap, uids, { bodies: [THREAD_HEADER_FIELDS], struct: true });
+        method = "THREAD=REFERENCES";
+      } else {
+        messages = [...(await collectThreadMessages(imap, seedIds, maxMessages)).values()];
+        if (!messages.some((m) => m.uid === startUid)) messages.push(start);
+        method = "headers";
+      }
+
+      const entries = await toThreadEntries(imap, folder, messages, snippetLength);
+
+      // Own replies in the Sent folder
+      if (includeSent) {
+        const sentFolder = await findSpecialFolder(imap, config.accounts[account], "sent");
+        await checkAccess(permissions, { account, folder: sentFolder }, imap);
+        if (sentFolder !== folder) {
+          const threadIds = new Set(seedIds);
+          for (const entry of entries) {
+            for (const id of [entry.messageId, entry.inReplyTo, ...entry.references]) {
+              if (id) threadIds.add(id);
+            }
+          }
+
+          await openMailbox(imap, sentFolder, true);
+          const sent = await collectThreadMessages(imap, [...threadIds], maxMessages);
+          entries.push(...(await toThreadEntries(imap, sentFolder, [...sent.values()], snippetLength)));
+        }
+      }
+
+      releaseImap(imap);
+
+      const tree = buildThreadTree(entries);
+      const countNodes = (nodes) => nodes.reduce((n, node) => n + 1 + countNodes(node.children), 0);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                uid: startUid,
+                method,
+                count: countNodes(tree),
+                thread: tree.map(formatThreadNode),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// SMTP Helper Functions
+// ============================================================================
+
+/**
+ * Create SMTP transporter for an account
+ */
+function createSmtpTransporter(accountKey) {
+  const accounts = config.accounts;
+  const account = accounts[accountKey];
+
+  if (!account || !account.user || !account.password) {
+    throw new Error(`Account '${accountKey}' not configured`);
+  }
+
+  if (!account.smtp) {
+    throw new Error(`SMTP not configured for account '${accountKey}'`);
+  }
+
+  return nodemailer.createTransport({
+    host: account.smtp.host,
+    port: account.smtp.port,
+    secure: account.smtp.secure,
+    auth: {
+      user: account.user,
+      pass: account.password,
+    },
+    // Fail fast on blocked ports, but never cut off a slow transfer that is still progressing
+    connectionTimeout: config.smtpTimeoutMs,
+    greetingTimeout: config.smtpTimeoutMs,
+    socketTimeout: config.smtpSocketTimeoutMs,
+  });
+}
+
+// Sender of accounts without configured identities: SMTP_FROM_NAME <user>
+function defaultIdentity(accountConfig) {
+  return { id: "default", name: config.fromName || undefined, email: accountConfig.user };
+}
+
+/**
+ * Sender identities of an account; accounts without configured identities
+ * send as SMTP_FROM_NAME <user>
+ */
+function accountIdentities(accountConfig) {
+  if (accountConfig.identities?.length) return accountConfig.identities;
+  return [defaultIdentity(accountConfig)];
+}
+
+/**
+ * Identities an API user may send as (all when no user is given, e.g. mail rules)
+ */
+function usableIdentities(accountConfig, user) {
+  return accountIdentities(accountConfig).filter((identity) => !user || !identity.users || identity.users.includes(user));
+}
+
+/**
+ * Resolve the `identity` argument of a send/draft tool. Without an id the
+ * user's own identity (listing them in `users`) wins over shared ones.
+ * Without a user (mail rules) only shared identities qualify, else the
+ * account address is used.
+ */
+function resolveIdentity(accountConfig, id, user) {
+  const usable = usableIdentities(accountConfig, user);
+  if (id) {
+    const identity = usable.find((i) => i.id === id);
+    if (!identity) throw new Error(`Identity '${id}' is not configured for this account or not allowed for this API key`);
+    return identity;
+  }
+  if (!user) return usable.find((i) => !i.users) || defaultIdentity(accountConfig);
+  const identity = usable.find((i) => i.users?.includes(user)) || usable[0];
+  if (!identity) throw new Error("No sender identity of this account is available for this API key");
+  return identity;
+}
+
+function identityFrom(identity) {
+  return identity.name ? { name: identity.name, address: identity.email } : identity.email;
+}
+
+/**
+ * Own addresses of an account (user, aliases, identities), skipped on reply-all
+ */
+function ownAddresses(accountConfig) {
+  return [
+    accountConfig.user,
+    ...(accountConfig.aliases || []),
+    ...accountIdentities(accountConfig).map((identity) => identity.email),
+  ];
+}
+
+/**
+ * Send mail via SMTP. A timeout or dropped connection without an answer
+ * from the server can happen after the message was transmitted, so the
+ * email may have been delivered: such errors are marked `uncertain` and must
+ * not be retried automatically (duplicates).
+ */
+async function sendMail(transporter, mailOptions) {
+  try {
+    return await transporter.sendMail(mailOptions);
+  } catch (error) {
+    error.uncertain =
+      !error.responseCode &&
+      ((error.code === "ETIMEDOUT" && error.message === "Timeout") ||
+        (error.code === "ECONNECTION" && /closed unexpectedly/.test(error.message)));
+    throw error;
+  }
+}
+
+/**
+ * Validate the sendAt argument, returns an ISO timestamp (undefined = now)
+ */
+function parseSendAt(sendAt) {
+  if (!sendAt) return undefined;
+  const date = new Date(sendAt);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid sendAt '${sendAt}', expected ISO 8601 date/time`);
+  return date.toISOString();
+}
+
+/**
+ * Find a special folder (sent, drafts, trash, ...) of an account: configured
+ * name, special-use flag, or common folder names
+ */
+async function findSpecialFolder(imap, accountConfig, role) {
+  const roles = detectFolderRoles(flattenMailboxes(await listMailboxes(imap)), accountConfig);
+  if (roles[role]) return roles[role];
+
+  throw new Error(`${role} folder not found, set ${FOLDER_ROLES[role].configKey} for this account`);
+}
+
+/**
+ * Resolve a folder argument: role aliases like "role:trash" are mapped to
+ * the account's folder, other names are returned unchanged
+ */
+async function resolveFolder(imap, account, folder) {
+  const role = parseRoleAlias(folder);
+  if (!role) return folder;
+  return findSpecialFolder(imap, config.accounts[account], role);
+}
+
+// Folder roles per account for role: aliases in folder permissions, cached
+// briefly because the wrapper checks them before every tool call
+const FOLDER_ROLES_TTL = 60 * 1000;
+const folderRolesCache = new Map();
+
+/**
+ * Role -> folder of an account (uses the given connection or leases one)
+ */
+async function accountFolderRoles(account, imap) {
+  const cached = folderRolesCache.get(account);
+  if (cached && cached.expires > Date.now()) return cached.roles;
+
+  let roles;
+  if (imap) {
+    roles = detectFolderRoles(flattenMailboxes(await listMailboxes(imap)), config.accounts[account]);
+  } else {
+    let own;
+    try {
+      own = await acquireImap(account);
+      roles = detectFolderRoles(flattenMailboxes(await listMailboxes(own)), config.accounts[account]);
+      releaseImap(own);
+    } catch (error) {
+      if (own) releaseImap(own, error);
+      throw error;
+    }
+  }
+  folderRolesCache.set(account, { roles, expires: Date.now() + FOLDER_ROLES_TTL });
+  return roles;
+}
+
+/**
+ * Check access to an account/folder for the caller's permissions. role:
+ * aliases in the argument and in the permission patterns are resolved to
+ * the account's real folders first, so "role:drafts" and "Drafts" are the
+ * same folder. Used by the per-user wrapper and by handlers for folders
+ * they resolve themselves (Sent, Drafts, ...).
+ */
+async function checkAccess(permissions, { account, folder }, imap) {
+  const roles = needsFolderRoles(permissions, account, folder) ? await accountFolderRoles(account, imap) : undefined;
+  assertAccess(permissions, { account, folder }, roles);
+}
+
+/**
+ * Check the actions of mail rules against the caller's tools and folders
+ * (the wrapper only sees the tool arguments, not what a rule will do)
+ */
+async function checkRuleAccess(permissions, account, rules, imap) {
+  for (const rule of rules) {
+    const roles = ruleNeedsFolderRoles(permissions, account, rule) ? await accountFolderRoles(account, imap) : undefined;
+    assertRuleAllowed(permissions, account, rule, roles);
+  }
+}
+
+/**
+ * Append a raw message to a folder, returns the new UID (if UIDPLUS)
+ */
+function appendMessage(imap, raw, mailbox, flags) {
+  return new Promise((resolve, reject) => {
+    imap.append(raw, { mailbox, flags }, (err, uid) => {
+      if (err) reject(err);
+      else resolve(uid ?? null);
+    });
+  });
+}
+
+/**
+ * Store a sent message in the account's Sent folder (marked \Seen). Part of
+ * sending, so not restricted by the caller's folder permissions.
+ */
+async function saveToSentFolder(account, raw) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    const folder = await findSpecialFolder(imap, config.accounts[account], "sent");
+    const uid = await appendMessage(imap, raw, folder, ["\\Seen"]);
+    releaseImap(imap);
+    return { saved: true, folder, uid };
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    console.error(`[SMTP] Could not save sent message for ${account}: ${error.message}`);
+    return { saved: false, error: error.message };
+  }
+}
+
+/**
+ * Apply a transformation to the header section of a raw message
+ */
+function transformRawHeader(raw, transform) {
+  const text = raw.toString("binary");
+  const headerEnd = text.indexOf("\r\n\r\n");
+  const head = headerEnd >= 0 ? text.slice(0, headerEnd) : text;
+  const body = headerEnd >= 0 ? text.slice(headerEnd) : "";
+  return Buffer.from(transform(head) + body, "binary");
+}
+
+/**
+ * Remove Bcc header lines (incl. folded continuation lines) from a raw message
+ */
+function stripBccHeader(raw) {
+  return transformRawHeader(raw, (head) =>
+    head.replace(/^Bcc:.*(?:\r\n[ \t].*)*(?:\r\n|$)/gim, "").replace(/\r\n$/, "")
+  );
+}
+
+/**
+ * Set the Date header of a raw message (e.g. when sending a draft)
+ */
+function replaceDateHeader(raw, date) {
+  const value = date.toUTCString().replace(/GMT/, "+0000");
+  return transformRawHeader(raw, (head) =>
+    /^Date:/im.test(head) ? head.replace(/^Date:.*$/im, `Date: ${value}`) : `Date: ${value}\r\n${head}`
+  );
+}
+
+/**
+ * Build the raw MIME message (incl. Bcc header) via nodemailer's stream transport
+ *
+ * @returns {{ message: Buffer, envelope, messageId }}
+ */
+function buildRawMessage(mailOptions) {
+  return nodemailer
+    .createTransport({ streamTransport: true, buffer: true })
+    .sendMail(mailOptions);
+}
+
+/**
+ * Send a raw message via SMTP and store it in the Sent folder. The Sent
+ * copy keeps the Bcc header (like mail clients do), the transmitted
+ * message does not.
+ *
+ * @returns {{ info, sent }} SMTP result and Sent folder result
+ */
+async function deliverRaw(account, { envelope, raw, messageId }, { saveToSent } = {}) {
+  const transporter = createSmtpTransporter(account);
+  const accountConfig = config.accounts[account];
+
+  const smtpInfo = await sendMail(transporter, { envelope, raw: stripBccHeader(raw) });
+  const info = { ...smtpInfo, messageId };
+
+  const shouldSave = saveToSent ?? accountConfig.saveSent ?? true;
+  const sent = shouldSave
+    ? await saveToSentFolder(account, raw)
+    : { saved: false, reason: "disabled" };
+
+  return { info, sent };
+}
+
+/**
+ * Store a built message in the outbox and send it right away. If sending
+ * fails, the outbox worker retries it in the background.
+ *
+ * @param {Object} meta outbox fields { user, to, cc, subject, saveToSent, afterSend }
+ * @returns {{ entry, info }} info only when the email was sent now
+ */
+async function sendThroughOutbox(account, { envelope, message, messageId }, meta) {
+  // Fail early on accounts without SMTP instead of queueing forever
+  createSmtpTransporter(account);
+  const queued = enqueueMail({ account, envelope, raw: message, messageId, ...meta });
+  return deliverEntry(queued.id);
+}
+
+/**
+ * Send queued outbox entries one after another at their sendAt, in the
+ * background (smtp_send_merge). Whatever is left over, e.g. after a
+ * restart or a failed attempt, is delivered by the outbox worker.
+ */
+async function deliverQueued(entries) {
+  for (const { id, nextAttemptAt } of entries) {
+    const wait = new Date(nextAttemptAt).getTime() - Date.now();
+    if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+    try {
+      await deliverEntry(id);
+    } catch (error) {
+      // e.g. cancelled in the meantime or already being sent by the worker
+      console.error(`[Outbox] Skipping ${id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Tool response for an email that was not sent right away: queued for a
+ * retry by the outbox worker, or failed
+ */
+function unsentResponse(entry, summary) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: entry.status !== "failed",
+            status: entry.status === "failed" ? "failed" : "queued",
+            ...summary,
+            attempts: entry.attempts,
+            lastError: entry.lastError,
+            nextAttemptAt: entry.nextAttemptAt,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Load and parse a message by UID (releases the connection before returning)
+ */
+async function loadParsedEmail(account, folder, uid, parserOptions = {}) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    folder = await resolveFolder(imap, account, folder);
+    await openMailbox(imap, folder, true);
+    const raw = await fetchRawEmail(imap, uid);
+    releaseImap(imap);
+    imap = null;
+
+    if (!raw) throw new Error(`Email with UID ${uid} not found in ${folder}`);
+    return { raw, parsed: await simpleParser(raw, parserOptions) };
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    throw error;
+  }
+}
+
+/**
+ * Add system flags (\Answered) or keywords ($Forwarded) to a message after a
+ * reply/forward. Returns false instead of throwing (e.g. server does not
+ * permit the keyword).
+ */
+async function flagEmail(account, folder, uid, flags) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    folder = await resolveFolder(imap, account, folder);
+    await openMailbox(imap, folder, false);
+    await changeFlags(imap, [uid], { add: flags });
+    releaseImap(imap);
+    return true;
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    console.error(`[IMAP] Could not set ${flags.join(" ")} on ${account}/${folder}/${uid}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Attachment carrying an original message as .eml (forward as attachment)
+ */
+function emlAttachment(subject, raw) {
+  return {
+    filename: `${(subject || "message").replace(/[\\/:*?"<>|]/g, "_")}.eml`,
+    contentType: "message/rfc822",
+    contentDisposition: "attachment",
+    content: raw,
+  };
+}
+
+// Headers controlled by nodemailer / dedicated fields, not settable via `headers`
+const RESERVED_HEADERS = new Set([
+  "from", "to", "cc", "bcc", "subject", "reply-to", "sender", "date", "message-id",
+  "mime-version", "content-type", "content-transfer-encoding", "content-disposition",
+]);
+
+const attachmentInputSchema = z
+  .object({
+    filename: z.string().optional().describe("File name shown to the recipient"),
+    contentType: z.string().optional().describe("MIME type (default: derived from filename)"),
+    content: z.string().optional().describe("File content, base64 encoded"),
+    cid: z
+      .string()
+      .optional()
+      .describe("Content-ID for inline images, referenced in html as <img src=\"cid:...\">"),
+    source: z
+      .object({
+        account: z.string().describe("Account key of the source message"),
+        folder: z.string().default("INBOX").describe("Folder of the source message"),
+        uid: z.number().describe("UID of the source message"),
+        index: z.number().int().nonnegative().optional().describe("Attachment index (see imap_read_email)"),
+        contentId: z.string().optional().describe("Content-ID of the attachment, alternative to index"),
+      })
+      .optional()
+      .describe("Take the attachment from an existing message instead of content"),
+  })
+  .refine((a) => Boolean(a.content) !== Boolean(a.source), {
+    message: "each attachment needs either 'content' or 'source'",
+  });
+
+/**
+ * Resolve attachment inputs (base64 or reference to an existing message)
+ * into nodemailer attachments, enforcing per-attachment and total size limits.
+ */
+async function resolveAttachments(inputs = []) {
+  const attachments = [];
+  let total = 0;
+
+  for (const input of inputs) {
+    let attachment;
+
+    if (input.source) {
+      const { account, uid, index, contentId } = input.source;
+      let folder = input.source.folder;
+      let imap;
+      try {
+        imap = await acquireImap(account);
+        folder = await resolveFolder(imap, account, folder);
+        await openMailbox(imap, folder, true);
+        const found = await getAttachment(imap, uid, {
+          index,
+          contentId,
+          maxBytes: config.attachmentMaxBytes,
+        });
+        releaseImap(imap);
+        attachment = {
+          filename: input.filename || found.filename || undefined,
+          contentType: input.contentType || found.contentType,
+          content: found.content,
+        };
+      } catch (error) {
+        if (imap) releaseImap(imap, error);
+        throw new Error(`Attachment from ${account}/${folder}/${uid}: ${error.message}`);
+      }
+    } else {
+      attachment = {
+        filename: input.filename,
+        contentType: input.contentType,
+        content: Buffer.from(input.content, "base64"),
+      };
+    }
+
+    if (attachment.content.length > config.attachmentMaxBytes) {
+      throw new Error(
+        `Attachment '${attachment.filename || "unnamed"}' too large ` +
+          `(${attachment.content.length} bytes, limit ${config.attachmentMaxBytes} bytes)`
+      );
+    }
+    total += attachment.content.length;
+    if (total > config.sendMaxBytes) {
+      throw new Error(`Attachments exceed total size limit of ${config.sendMaxBytes} bytes`);
+    }
+
+    if (input.cid) {
+      attachment.cid = input.cid.replace(/^<|>$/g, "");
+      attachment.contentDisposition = "inline";
+    }
+    attachments.push(attachment);
+  }
+
+  return attachments;
+}
+
+/**
+ * Validate custom headers (no overriding of address/MIME structure headers)
+ */
+function validateCustomHeaders(headers = {}) {
+  for (const [name, value] of Object.entries(headers)) {
+    if (RESERVED_HEADERS.has(name.toLowerCase())) {
+      throw new Error(`Header '${name}' cannot be set via headers, use the dedicated field`);
+    }
+    if (!/^[\x21-\x39\x3B-\x7E]+$/.test(name) || /[\r\n]/.test(value)) {
+      throw new Error(`Invalid header '${name}'`);
+    }
+  }
+  return headers;
+}
+
+const identityInput = z
+  .string()
+  .optional()
+  .describe("Sender identity id (see smtp_list_identities, default: your default identity)");
+
+/**
+ * Message fields shared by smtp_send_email and the draft tools
+ */
+const mailInputShape = {
+    to: z.string().describe("Recipient email address"),
+    subject: z.string().describe("Email subject"),
+    text: z.string().optional().describe("Plain text body"),
+    html: z.string().optional().describe("HTML body (optional, if provided will be used instead of text)"),
+    cc: z.string().optional().describe("CC recipients (comma-separated)"),
+    bcc: z.string().optional().describe("BCC recipients (comma-separated)"),
+    replyTo: z.string().optional().describe("Reply-to address (default: the identity's replyTo)"),
+    identity: identityInput,
+    attachments: z
+      .array(attachmentInputSchema)
+      .optional()
+      .describe("Attachments: base64 content or a reference to an attachment of an existing message"),
+    headers: z
+      .record(z.string(), z.string())
+      .optional()
+      .describe("Additional headers, e.g. { \"X-Priority\": \"1\" }"),
+};
+
+/**
+ * Build nodemailer options from mail input (validates headers, resolves
+ * attachments, applies the sender identity and its signature)
+ */
+async function buildMailOptions(accountConfig, { to, subject, text, html, cc, bcc, replyTo, identity, attachments, headers }, user) {
+  const sender = resolveIdentity(accountConfig, identity, user);
+  const customHeaders = validateCustomHeaders(headers);
+  const mailAttachments = await resolveAttachments(attachments);
+  const body = withSignature({ text: text || "", html: html || undefined }, sender.signature);
+
+  return {
+    from: identityFrom(sender),
+    to,
+    subject,
+    text: body.text,
+    html: body.html,
+    cc: cc || undefined,
+    bcc: bcc || undefined,
+    replyTo: replyTo || sender.replyTo || undefined,
+    attachments: mailAttachments,
+    headers: customHeaders,
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_list_identities
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_list_identities",
+  "List the sender identities (display name, address, reply-to, signature) you can use with the identity argument of the send and draft tools",
+  {
+    account: z.string().optional().describe("Only this account (default: all allowed accounts)"),
+  },
+  async ({ account }, { permissions, authInfo }) => {
+    try {
+      if (account && !config.accounts[account]) throw new Error(`Account '${account}' not configured`);
+      const user = authInfo?.clientId;
+      const accounts = getConfiguredAccounts().filter(
+        (a) => (!account || a.key === account) && isAccountAllowed(permissions, a.key)
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                accounts: accounts.map((a) => {
+                  const identities = usableIdentities(a, user);
+                  const defaultId = identities.length > 0 ? resolveIdentity(a, undefined, user).id : null;
+                  return {
+                    account: a.key,
+                    aliases: a.aliases || [],
+                    identities: identities.map((identity) => ({
+                      id: identity.id,
+                      name: identity.name || null,
+                      email: identity.email,
+                      replyTo: identity.replyTo || null,
+                      signature: identity.signature || null,
+                      default: identity.id === defaultId,
+                    })),
+                  };
+                }),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_send_email
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_send_email",
+  "Send an email via SMTP. The email is stored in the outbox first: if sending fails it is retried in the background (status 'queued'), with sendAt it is sent later (status 'scheduled'). See outbox_list",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    ...mailInputShape,
+    saveToSent: z
+      .boolean()
+      .optional()
+      .describe("Store a copy in the Sent folder (default: account setting, usually true)"),
+    sendAt: z
+      .string()
+      .optional()
+      .describe("Scheduled delivery, ISO 8601 date/time (e.g. '2026-03-01T08:00:00+01:00'), default: now"),
+    dryRun: z.boolean().default(false).describe("Only build the email and report what would be sent, send nothing"),
+  },
+  async ({ account, saveToSent, sendAt, dryRun, ...input }, extra) => {
+    const { to, subject } = input;
+    console.log(`[SMTP] Sending email to ${to} via ${account} (subject: ${subject})`);
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+      const scheduledAt = parseSendAt(sendAt);
+      // Fail early on accounts without SMTP instead of queueing forever
+      createSmtpTransporter(account);
+
+      const mailOptions = await buildMailOptions(accountConfig, input, extra.authInfo?.clientId);
+      const built = await buildRawMessage(mailOptions);
+
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: "send",
+          from: mailOptions.from,
+          to,
+          cc: input.cc || null,
+          bcc: input.bcc || null,
+          subject,
+          attachments: mailOptions.attachments.length,
+          sendAt: scheduledAt || null,
+        });
+      }
+
+      const queued = enqueueMail({
+        account,
+        user: extra.authInfo?.clientId,
+        envelope: built.envelope,
+        raw: built.message,
+        messageId: built.messageId,
+        to,
+        cc: input.cc,
+        subject,
+        saveToSent,
+        sendAt: scheduledAt,
+      });
+
+      const summary = {
+        account,
+        outboxId: queued.id,
+        messageId: built.messageId,
+        from: mailOptions.from,
+        to,
+        subject,
+        attachments: mailOptions.attachments.length,
+      };
+
+      if (scheduledAt && scheduledAt > new Date().toISOString()) {
+        console.log(`[SMTP] Email to ${to} scheduled for ${scheduledAt} (outbox: ${queued.id})`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: true, status: "scheduled", ...summary, sendAt: scheduledAt }, null, 2),
+            },
+          ],
+        };
+      }
+
+      const { entry, info } = await deliverEntry(queued.id);
+      // Not lost: the outbox worker retries with backoff
+      if (!info) return unsentResponse(entry, summary);
+      console.log(`[SMTP] Email sent successfully to ${to} (messageId: ${info.messageId})`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                status: "sent",
+                ...summary,
+                accepted: info.accepted,
+                rejected: info.rejected,
+                sentFolder: entry.sentFolder,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`[SMTP] Failed to send email to ${to}: ${error.message}`);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_reply
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_reply",
+  "Reply (or reply-all) to an email with correct threading headers, quoting the original and marking it \\Answered. Goes through the outbox like smtp_send_email (status 'queued' if it has to be retried)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the original email"),
+    uid: z.number().describe("UID of the email to reply to"),
+    text: z.string().describe("Reply text (plain)"),
+    html: z.string().optional().describe("Reply HTML (optional)"),
+    replyAll: z.boolean().default(false).describe("Reply to all recipients (To/Cc of the original)"),
+    quote: z.boolean().default(true).describe("Quote the original message below the reply"),
+    cc: z.string().optional().describe("Additional CC recipients (comma-separated)"),
+    bcc: z.string().optional().describe("BCC recipients (comma-separated)"),
+    identity: identityInput,
+    attachments: z.array(attachmentInputSchema).optional().describe("Attachments (see smtp_send_email)"),
+    saveToSent: z
+      .boolean()
+      .optional()
+      .describe("Store a copy in the Sent folder (default: account setting, usually true)"),
+    dryRun: z.boolean().default(false).describe("Only build the email and report what would be sent, send nothing"),
+  },
+  async (
+    { account, folder, uid, text, html, replyAll, quote, cc, bcc, identity, attachments, saveToSent, dryRun },
+    extra
+  ) => {
+    console.log(`[SMTP] Replying to ${account}/${folder}/${uid} (replyAll: ${replyAll})`);
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+      const sender = resolveIdentity(accountConfig, identity, extra.authInfo?.clientId);
+      const { parsed } = await loadParsedEmail(account, folder, uid);
+
+      const recipients = replyRecipients(parsed, {
+        replyAll,
+        ownAddresses: ownAddresses(accountConfig),
+      });
+      if (!recipients.to) throw new Error("Original email has no sender address to reply to");
+
+      // Signature goes between the reply and the quoted original
+      const signed = withSignature({ text, html }, sender.signature);
+      const body = quote ? quoteReply(parsed, signed) : signed;
+      const mailAttachments = await resolveAttachments(attachments);
+      const subject = replySubject(parsed.subject);
+
+      const allCc = [recipients.cc, cc].filter(Boolean).join(", ") || undefined;
+
+      const built = await buildRawMessage({
+        from: identityFrom(sender),
+        replyTo: sender.replyTo,
+        to: recipients.to,
+        cc: allCc,
+        bcc: bcc || undefined,
+        subject,
+        text: body.text,
+        html: body.html || undefined,
+        attachments: mailAttachments,
+        ...threadingHeaders(parsed),
+      });
+
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: replyAll ? "reply_all" : "reply",
+          from: identityFrom(sender),
+          inReplyTo: parsed.messageId,
+          to: recipients.to,
+          cc: allCc || null,
+          bcc: bcc || null,
+          subject,
+          attachments: mailAttachments.length,
+          text: body.text,
+        });
+      }
+
+      // \Answered is set once the reply is out, also on a later retry
+      const { entry, info } = await sendThroughOutbox(account, built, {
+        user: extra.authInfo?.clientId,
+        to: recipients.to,
+        cc: allCc,
+        subject,
+        saveToSent,
+        afterSend: { flag: { folder, uid, flags: ["\\Answered"] } },
+      });
+
+      const summary = {
+        account,
+        action: replyAll ? "replied_all" : "replied",
+        outboxId: entry.id,
+        messageId: built.messageId,
+        inReplyTo: parsed.messageId,
+        to: recipients.to,
+        cc: recipients.cc,
+        subject,
+      };
+      if (!info) return unsentResponse(entry, summary);
+      console.log(`[SMTP] Reply sent to ${recipients.to} (messageId: ${info.messageId})`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                status: "sent",
+                ...summary,
+                accepted: info.accepted,
+                rejected: info.rejected,
+                sentFolder: entry.sentFolder,
+                flagged: entry.afterSendResult?.flagged ?? false,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`[SMTP] Failed to reply to ${account}/${folder}/${uid}: ${error.message}`);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_forward
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_forward",
+  "Forward an email inline (with original attachments) or as attached .eml, marking it $Forwarded. Goes through the outbox like smtp_send_email (status 'queued' if it has to be retried)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder containing the original email"),
+    uid: z.number().describe("UID of the email to forward"),
+    to: z.string().describe("Recipient email address(es), comma-separated"),
+    text: z.string().default("").describe("Introductory text above the forwarded message"),
+    html: z.string().optional().describe("Introductory HTML (optional)"),
+    mode: z
+      .enum(["inline", "attachment"])
+      .default("inline")
+      .describe("inline: original below the text incl. attachments; attachment: original as .eml file"),
+    cc: z.string().optional().describe("CC recipients (comma-separated)"),
+    bcc: z.string().optional().describe("BCC recipients (comma-separated)"),
+    identity: identityInput,
+    saveToSent: z
+      .boolean()
+      .optional()
+      .describe("Store a copy in the Sent folder (default: account setting, usually true)"),
+    dryRun: z.boolean().default(false).describe("Only build the email and report what would be sent, send nothing"),
+  },
+  async ({ account, folder, uid, to, text, html, mode, cc, bcc, identity, saveToSent, dryRun }, extra) => {
+    console.log(`[SMTP] Forwarding ${account}/${folder}/${uid} to ${to} (${mode})`);
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+      const sender = resolveIdentity(accountConfig, identity, extra.authInfo?.clientId);
+      const signed = withSignature({ text, html }, sender.signature);
+
+      // Keep cid: links so inline images can be re-attached with their Content-ID
+      const { raw, parsed } = await loadParsedEmail(account, folder, uid, { skipImageLinks: true });
+
+      let body;
+      let mailAttachments;
+      if (mode === "attachment") {
+        body = signed;
+        mailAttachments = [emlAttachment(parsed.subject, raw)];
+      } else {
+        body = forwardInline(parsed, signed);
+        mailAttachments = (parsed.attachments || []).map((a) => ({
+          filename: a.filename,
+          contentType: a.contentType,
+          content: a.content,
+          cid: a.related && a.cid ? a.cid : undefined,
+          contentDisposition: a.related && a.cid ? "inline" : undefined,
+        }));
+      }
+
+      const total = mailAttachments.reduce((sum, a) => sum + a.content.length, 0);
+      if (total > config.sendMaxBytes) {
+        throw new Error(`Forwarded content exceeds size limit of ${config.sendMaxBytes} bytes`);
+      }
+
+      const subject = forwardSubject(parsed.subject);
+      const { references } = threadingHeaders(parsed);
+
+      const built = await buildRawMessage({
+        from: identityFrom(sender),
+        replyTo: sender.replyTo,
+        to,
+        cc: cc || undefined,
+        bcc: bcc || undefined,
+        subject,
+        text: body.text,
+        html: body.html || undefined,
+        attachments: mailAttachments,
+        references,
+      });
+
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: "forward",
+          mode,
+          from: identityFrom(sender),
+          originalMessageId: parsed.messageId,
+          to,
+          cc: cc || null,
+          bcc: bcc || null,
+          subject,
+          attachments: mailAttachments.length,
+        });
+      }
+
+      const { entry, info } = await sendThroughOutbox(account, built, {
+        user: extra.authInfo?.clientId,
+        to,
+        cc,
+        subject,
+        saveToSent,
+        afterSend: { flag: { folder, uid, flags: ["$Forwarded"] } },
+      });
+
+      const summary = {
+        account,
+        action: "forwarded",
+        mode,
+        outboxId: entry.id,
+        messageId: built.messageId,
+        originalMessageId: parsed.messageId,
+        to,
+        subject,
+        attachments: mailAttachments.length,
+      };
+      if (!info) return unsentResponse(entry, summary);
+      console.log(`[SMTP] Forward sent to ${to} (messageId: ${info.messageId})`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                status: "sent",
+                ...summary,
+                accepted: info.accepted,
+                rejected: info.rejected,
+                sentFolder: entry.sentFolder,
+                flagged: entry.afterSendResult?.flagged ?? false,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(`[SMTP] Failed to forward ${account}/${folder}/${uid}: ${error.message}`);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// Draft Helper Functions
+// ============================================================================
+
+/**
+ * Append a message to the Drafts folder (\Draft, \Seen), returns { folder, uid }
+ */
+async function saveDraft(account, raw, messageId, permissions) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    const folder = await findSpecialFolder(imap, config.accounts[account], "drafts");
+    await checkAccess(permissions, { account, folder }, imap);
+    let uid = await appendMessage(imap, raw, folder, ["\\Draft", "\\Seen"]);
+
+    if (!uid) {
+      // Server without UIDPLUS: look the draft up by Message-ID
+      await openMailbox(imap, folder, true);
+      const uids = await searchEmails(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+      uid = uids.length > 0 ? Math.max(...uids) : null;
+    }
+
+    releaseImap(imap);
+    return { folder, uid };
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a draft by UID from the Drafts folder. Throws if it does not exist;
+ * with checkOnly the draft is only looked up.
+ */
+async function removeDraft(account, uid, { checkOnly = false, permissions } = {}) {
+  let imap;
+  try {
+    imap = await acquireImap(account);
+    const folder = await findSpecialFolder(imap, config.accounts[account], "drafts");
+    await checkAccess(permissions, { account, folder }, imap);
+    await openMailbox(imap, folder, checkOnly);
+
+    const found = await searchEmails(imap, [["UID", uid]]);
+    if (found.length === 0) throw new Error(`Draft with UID ${uid} not found in ${folder}`);
+
+    if (!checkOnly) await removeMessages(imap, [uid]);
+    releaseImap(imap);
+    return { folder, uid };
+  } catch (error) {
+    if (imap) releaseImap(imap, error);
+    throw error;
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Tool: imap_create_draft
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_create_draft",
+  "Save an email as draft in the Drafts folder for human review (same fields as smtp_send_email)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    ...mailInputShape,
+    dryRun: z.boolean().default(false).describe("Only build the email and report the draft, store nothing"),
+  },
+  async ({ account, dryRun, ...input }, extra) => {
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+
+      const built = await buildRawMessage(await buildMailOptions(accountConfig, input, extra.authInfo?.clientId));
+      if (dryRun) return dryRunPlanResponse({ account, action: "create_draft", to: input.to, subject: input.subject });
+
+      const draft = await saveDraft(account, built.message, built.messageId, extra.permissions);
+      console.log(`[Drafts] Created draft ${draft.uid} in ${account}/${draft.folder}`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: "draft_created",
+                folder: draft.folder,
+                uid: draft.uid,
+                messageId: built.messageId,
+                to: input.to,
+                subject: input.subject,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_update_draft
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_update_draft",
+  "Replace an existing draft with new content (full replacement, the draft gets a new UID)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    uid: z.number().describe("UID of the draft to replace (see imap_list_drafts)"),
+    ...mailInputShape,
+    dryRun: z.boolean().default(false).describe("Only check the draft and build the email, change nothing"),
+  },
+  async ({ account, uid, dryRun, ...input }, extra) => {
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+
+      const built = await buildRawMessage(await buildMailOptions(accountConfig, input, extra.authInfo?.clientId));
+
+      // Old draft must exist; it is removed only after the new one is stored
+      const previous = await removeDraft(account, uid, { checkOnly: true, permissions: extra.permissions });
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: "update_draft",
+          folder: previous.folder,
+          previousUid: uid,
+          to: input.to,
+          subject: input.subject,
+        });
+      }
+
+      const draft = await saveDraft(account, built.message, built.messageId, extra.permissions);
+      await removeDraft(account, uid, { permissions: extra.permissions });
+      console.log(`[Drafts] Replaced draft ${uid} with ${draft.uid} in ${account}/${draft.folder}`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: "draft_updated",
+                folder: draft.folder,
+                previousUid: uid,
+                uid: draft.uid,
+                messageId: built.messageId,
+                to: input.to,
+                subject: input.subject,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: imap_list_drafts
+// ----------------------------------------------------------------------------
+registerTool(
+  "imap_list_drafts",
+  "List drafts in the account's Drafts folder",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    limit: z.number().default(50).describe("Max number of drafts to return"),
+  },
+  async ({ account, limit }, { permissions }) => {
+    let imap;
+    try {
+      imap = await acquireImap(account);
+      const folder = await findSpecialFolder(imap, config.accounts[account], "drafts");
+      await checkAccess(permissions, { account, folder }, imap);
+      await openMailbox(imap, folder, true);
+
+      const uids = await searchEmails(imap, ["ALL"]);
+      const emails = await fetchEmails(imap, uids.slice(-limit));
+
+      releaseImap(imap);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                folder,
+                total: uids.length,
+                returned: emails.length,
+                drafts: emails.map((e) => ({ ...summarizeEmail(e), to: e.headers.to })),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_send_draft
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_send_draft",
+  "Send a draft from the Drafts folder and remove it from Drafts afterwards. Goes through the outbox like smtp_send_email (status 'queued' if it has to be retried)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    uid: z.number().describe("UID of the draft to send (see imap_list_drafts)"),
+    saveToSent: z
+      .boolean()
+      .optional()
+      .describe("Store a copy in the Sent folder (default: account setting, usually true)"),
+    dryRun: z.boolean().default(false).describe("Only load the draft and report what would be sent, send nothing"),
+  },
+  async ({ account, uid, saveToSent, dryRun }, extra) => {
+    let imap;
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+
+      imap = await acquireImap(account);
+      const folder = await findSpecialFolder(imap, accountConfig, "drafts");
+      await checkAccess(extra.permissions, { account, folder }, imap);
+      await openMailbox(imap, folder, true);
+      const raw = await fetchRawEmail(imap, uid);
+      releaseImap(imap);
+      imap = null;
+
+      if (!raw) throw new Error(`Draft with UID ${uid} not found in ${folder}`);
+
+      const parsed = await simpleParser(raw);
+      const recipients = [parsed.to, parsed.cc, parsed.bcc]
+        .flatMap((field) => (Array.isArray(field) ? field : field ? [field] : []))
+        .flatMap((field) => field.value.map((a) => a.address))
+        .filter(Boolean);
+      if (recipients.length === 0) throw new Error("Draft has no recipients");
+
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: "send_draft",
+          folder,
+          uid,
+          from: parsed.from?.text || accountConfig.user,
+          to: parsed.to?.text || null,
+          cc: parsed.cc?.text || null,
+          bcc: parsed.bcc?.text || null,
+          subject: parsed.subject,
+        });
+      }
+
+      console.log(`[SMTP] Sending draft ${account}/${folder}/${uid} to ${recipients.join(", ")}`);
+      // The draft is removed from Drafts once it is sent, also on a later retry
+      const { entry, info } = await sendThroughOutbox(
+        account,
+        {
+          envelope: { from: parsed.from?.value?.[0]?.address || accountConfig.user, to: recipients },
+          message: replaceDateHeader(raw, new Date()),
+          messageId: parsed.messageId,
+        },
+        {
+          user: extra.authInfo?.clientId,
+          to: parsed.to?.text,
+          cc: parsed.cc?.text,
+          subject: parsed.subject,
+          saveToSent,
+          afterSend: { removeDraft: uid },
+        }
+      );
+
+      const summary = {
+        account,
+        action: "draft_sent",
+        outboxId: entry.id,
+        messageId: parsed.messageId,
+        subject: parsed.subject,
+      };
+      if (!info) return unsentResponse(entry, summary);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                status: "sent",
+                ...summary,
+                accepted: info.accepted,
+                rejected: info.rejected,
+                sentFolder: entry.sentFolder,
+                draftRemoved: entry.afterSendResult?.draftRemoved ?? false,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      if (imap) releaseImap(imap, error);
+      console.error(`[SMTP] Failed to send draft ${account}/${uid}: ${error.message}`);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// Outbox
+// ============================================================================
+
+/**
+ * Follow-up of a reply/forward/draft once it was sent: mark the original
+ * (\Answered, $Forwarded) or remove the sent draft. Never throws, the email
+ * is already out.
+ */
+async function runAfterSend(account, afterSend) {
+  if (afterSend?.flag) {
+    const { folder, uid, flags } = afterSend.flag;
+    return { flagged: await flagEmail(account, folder, uid, flags) };
+  }
+  if (afterSend?.removeDraft) {
+    try {
+      await removeDraft(account, afterSend.removeDraft);
+      return { draftRemoved: true };
+    } catch (error) {
+      console.error(`[Drafts] Could not remove sent draft ${afterSend.removeDraft}: ${error.message}`);
+      return { draftRemoved: false };
+    }
+  }
+  return null;
+}
+
+/**
+ * Delivery function of the outbox worker: send the stored raw message and
+ * run its follow-up. Scheduled emails get the actual send time as Date header.
+ */
+async function deliverOutboxEntry(entry, raw) {
+  const { info, sent } = await deliverRaw(
+    entry.account,
+    {
+      envelope: entry.envelope,
+      raw: entry.sendAt ? replaceDateHeader(raw, new Date()) : raw,
+      messageId: entry.messageId,
+    },
+    { saveToSent: entry.saveToSent ?? undefined }
+  );
+  return { info, sent, afterSendResult: await runAfterSend(entry.account, entry.afterSend) };
+}
+
+// Outbox entry for responses (the envelope repeats to/cc and would expose Bcc)
+function summarizeOutboxEntry({ envelope, ...entry }) {
+  return entry;
+}
+
+// Outbox entry by id, only if the caller may use its account
+function getAllowedOutboxEntry(id, permissions) {
+  const entry = getOutboxEntry(id);
+  assertAccess(permissions, { account: entry.account });
+  return entry;
+}
+
+// ----------------------------------------------------------------------------
+// Tool: outbox_list
+// ----------------------------------------------------------------------------
+registerTool(
+  "outbox_list",
+  "List emails in the outbox (scheduled, waiting for retry, failed, recently sent or cancelled), newest first",
+  {
+    account: z.string().optional().describe("Only this account"),
+    status: z
+      .enum(["pending", "sending", "sent", "failed", "cancelled"])
+      .optional()
+      .describe("Only entries with this status (pending = scheduled or waiting for retry)"),
+    limit: z.number().int().positive().default(50).describe("Max number of entries to return"),
+  },
+  async ({ account, status, limit }, { permissions }) => {
+    try {
+      const entries = listOutbox({
+        account,
+        status,
+        accountAllowed: (key) => isAccountAllowed(permissions, key),
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                total: entries.length,
+                returned: Math.min(entries.length, limit),
+                entries: entries.slice(0, limit).map(summarizeOutboxEntry),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: outbox_cancel
+// ----------------------------------------------------------------------------
+registerTool(
+  "outbox_cancel",
+  "Cancel a scheduled, queued or failed email in the outbox (it will not be sent)",
+  {
+    id: z.string().describe("Outbox id (see outbox_list or the outboxId of smtp_send_email)"),
+    dryRun: z.boolean().default(false).describe("Only check that the email can be cancelled, change nothing"),
+  },
+  async ({ id, dryRun }, { permissions }) => {
+    try {
+      getAllowedOutboxEntry(id, permissions);
+      const entry = cancelOutboxEntry(id, { dryRun });
+      if (dryRun) {
+        return dryRunPlanResponse({ account: entry.account, action: "cancel", ...summarizeOutboxEntry(entry) });
+      }
+      console.log(`[Outbox] Cancelled ${id} (${entry.account}) to ${entry.to}`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account: entry.account,
+                action: "cancelled",
+                ...summarizeOutboxEntry(entry),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: outbox_retry
+// ----------------------------------------------------------------------------
+registerTool(
+  "outbox_retry",
+  "Send a failed or waiting outbox email now (also sends scheduled emails immediately). On failure it is retried in the background again",
+  {
+    id: z.string().describe("Outbox id (see outbox_list)"),
+    dryRun: z.boolean().default(false).describe("Only check that the email can be retried, send nothing"),
+  },
+  async ({ id, dryRun }, { permissions }) => {
+    try {
+      getAllowedOutboxEntry(id, permissions);
+      const pending = retryOutboxEntry(id, { dryRun });
+      if (dryRun) {
+        return dryRunPlanResponse({ account: pending.account, action: "retry", ...summarizeOutboxEntry(pending) });
+      }
+      const { entry, info } = await deliverEntry(id);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: entry.status === "sent",
+                account: entry.account,
+                action: "retried",
+                ...summarizeOutboxEntry(entry),
+                accepted: info?.accepted,
+                rejected: info?.rejected,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// Templates and Mail Merge
+// ============================================================================
+
+// ----------------------------------------------------------------------------
+// Tool: template_list
+// ----------------------------------------------------------------------------
+registerTool(
+  "template_list",
+  "List the stored email templates with their placeholders",
+  {},
+  async () => {
+    try {
+      const templates = loadTemplates();
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                templates: templates.map((template) => ({
+                  ...template,
+                  placeholders: templatePlaceholders(template),
+                })),
+                count: templates.length,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: template_save
+// ----------------------------------------------------------------------------
+registerTool(
+  "template_save",
+  "Create or replace an email template (matched by id). Placeholders: {{name}}, {{child.name}}, {{salutation|Hello}} (default value), {{{html}}} (raw HTML)",
+  {
+    template: templateSchema.describe("The template"),
+    dryRun: z.boolean().default(false).describe("Only validate the template and report what would be saved, change nothing"),
+  },
+  async ({ template, dryRun }) => {
+    try {
+      const templates = loadTemplates();
+
+      const existing = templates.findIndex((t) => t.id === template.id);
+      if (dryRun) {
+        return dryRunPlanResponse({
+          action: existing >= 0 ? "update" : "create",
+          template,
+          ...(existing >= 0 && { previous: templates[existing] }),
+          placeholders: templatePlaceholders(template),
+        });
+      }
+      if (existing >= 0) templates[existing] = template;
+      else templates.push(template);
+
+      saveTemplates(templates);
+      console.log(`[Templates] ${existing >= 0 ? "Updated" : "Created"} template '${template.id}'`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                action: existing >= 0 ? "updated" : "created",
+                template,
+                placeholders: templatePlaceholders(template),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: template_delete
+// ----------------------------------------------------------------------------
+registerTool(
+  "template_delete",
+  "Delete an email template",
+  {
+    id: z.string().describe("Template id (see template_list)"),
+    dryRun: z.boolean().default(false).describe("Only report which template would be deleted, change nothing"),
+  },
+  async ({ id, dryRun }) => {
+    try {
+      const templates = loadTemplates();
+
+      const index = templates.findIndex((t) => t.id === id);
+      if (index < 0) throw new Error(`Template '${id}' not found`);
+      if (dryRun) return dryRunPlanResponse({ action: "delete", id, template: templates[index] });
+      templates.splice(index, 1);
+
+      saveTemplates(templates);
+      console.log(`[Templates] Deleted template '${id}'`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                action: "deleted",
+                id,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// Placeholder values of one recipient; the address is available as {{to}}
+const templateDataSchema = z
+  .record(z.string(), z.any())
+  .default({})
+  .describe("Placeholder values, e.g. { \"name\": \"Anna\", \"invoice\": { \"number\": \"R-17\" } }");
+
+// ----------------------------------------------------------------------------
+// Tool: template_render
+// ----------------------------------------------------------------------------
+registerTool(
+  "template_render",
+  "Render a template with placeholder values (preview, nothing is sent). Fails if a placeholder without default value has no value",
+  {
+    id: z.string().describe("Template id (see template_list)"),
+    to: z.string().optional().describe("Recipient address, available as {{to}}"),
+    data: templateDataSchema,
+  },
+  async ({ id, to, data }) => {
+    try {
+      const template = getTemplate(id);
+      const rendered = renderTemplate(template, { to, ...data });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                id,
+                to,
+                ...rendered,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: smtp_send_merge
+// ----------------------------------------------------------------------------
+registerTool(
+  "smtp_send_merge",
+  "Mail merge: render a template for each recipient record and queue one email per recipient in the outbox. Returns right away with the outbox id per recipient; the emails are sent in the background with delayMs between them (see outbox_list, outbox_cancel). Recipients with missing placeholder values are skipped and reported as failed",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    templateId: z.string().describe("Template id (see template_list)"),
+    recipients: z
+      .array(
+        z.object({
+          to: z.string().min(1).describe("Recipient address(es), available as {{to}}"),
+          cc: z.string().optional().describe("CC recipients (comma-separated)"),
+          data: templateDataSchema,
+        })
+      )
+      .min(1)
+      .describe("One record per email"),
+    identity: z
+      .string()
+      .optional()
+      .describe("Sender identity id (default: the template's identity, else your default identity)"),
+    replyTo: z.string().optional().describe("Reply-to address (default: the identity's replyTo)"),
+    delayMs: z
+      .number()
+      .int()
+      .nonnegative()
+      .optional()
+      .describe(`Pause between two emails in ms (default: ${config.mergeDelayMs})`),
+    saveToSent: z
+      .boolean()
+      .optional()
+      .describe("Store a copy of each email in the Sent folder (default: account setting, usually true)"),
+    dryRun: z.boolean().default(false).describe("Only render and validate all emails, send nothing"),
+  },
+  async ({ account, templateId, recipients, identity, replyTo, delayMs, saveToSent, dryRun }, extra) => {
+    try {
+      const accountConfig = config.accounts[account];
+      if (!accountConfig) throw new Error(`Account '${account}' not configured`);
+      if (recipients.length > config.mergeMaxRecipients) {
+        throw new Error(
+          `${recipients.length} recipients exceed the limit of ${config.mergeMaxRecipients} (MERGE_MAX_RECIPIENTS)`
+        );
+      }
+
+      const template = getTemplate(templateId);
+      const user = extra.authInfo?.clientId;
+      const sender = identity ?? template.identity;
+      // Invalid identity fails the whole call before anything is sent
+      resolveIdentity(accountConfig, sender, user);
+
+      // Render everything first so that a broken record is reported before sending starts
+      const rendered = recipients.map((recipient) => {
+        try {
+          return renderTemplate(template, { to: recipient.to, ...recipient.data });
+        } catch (error) {
+          return { error: error.message };
+        }
+      });
+
+      const results = [];
+      if (dryRun) {
+        rendered.forEach((mail, index) => {
+          const { to } = recipients[index];
+          results.push(
+            mail.error ? { index, to, success: false, error: mail.error } : { index, to, success: true, subject: mail.subject }
+          );
+        });
+      } else {
+        // Fail early on accounts without SMTP instead of queueing forever
+        createSmtpTransporter(account);
+        const pause = delayMs ?? config.mergeDelayMs;
+        const queued = [];
+
+        // Throttling via sendAt: one email every `pause` ms, the first one now
+        for (const [index, recipient] of recipients.entries()) {
+          const mail = rendered[index];
+          if (mail.error) {
+            results.push({ index, to: recipient.to, success: false, error: mail.error });
+            continue;
+          }
+
+          try {
+            const mailOptions = await buildMailOptions(
+              accountConfig,
+              { ...mail, to: recipient.to, cc: recipient.cc, replyTo, identity: sender },
+              user
+            );
+            const built = await buildRawMessage(mailOptions);
+            const sendAt = queued.length > 0 ? new Date(Date.now() + queued.length * pause).toISOString() : undefined;
+            const entry = enqueueMail({
+              account,
+              user,
+              envelope: built.envelope,
+              raw: built.message,
+              messageId: built.messageId,
+              to: recipient.to,
+              cc: recipient.cc,
+              subject: mail.subject,
+              saveToSent,
+              sendAt,
+            });
+            queued.push(entry);
+            results.push({
+              index,
+              to: recipient.to,
+              success: true,
+              outboxId: entry.id,
+              messageId: built.messageId,
+              subject: mail.subject,
+              sendAt: entry.nextAttemptAt,
+            });
+          } catch (error) {
+            console.error(`[SMTP] Mail merge '${templateId}' failed for ${recipient.to}: ${error.message}`);
+            results.push({ index, to: recipient.to, success: false, error: error.message });
+          }
+        }
+
+        console.log(`[SMTP] Mail merge '${templateId}' via ${account}: ${queued.length} email(s) queued`);
+        deliverQueued(queued);
+      }
+
+      const failed = results.filter((r) => !r.success).length;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: failed === 0,
+                account,
+                ...(dryRun ? { dryRun: true } : { status: "queued" }),
+                action: "send_merge",
+                templateId,
+                total: recipients.length,
+                ...(dryRun ? { succeeded: results.length - failed } : { queued: results.length - failed }),
+                failed,
+                results,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ============================================================================
+// Bulk Operations
+// ============================================================================
+
+/**
+ * Move a batch of emails with a single UID MOVE, or COPY + STORE \Deleted +
+ * UID EXPUNGE on servers without MOVE
+ */
+async function moveBatch(imap, uids, targetFolder) {
+  if (imap.serverSupports("MOVE")) return moveEmail(imap, uids, targetFolder);
+
+  await copyEmails(imap, uids, targetFolder);
+  await removeMessages(imap, uids);
+  return { success: true, uids, targetFolder };
+}
+
+/**
+ * UIDs selected by a bulk tool in the open mailbox: the given UIDs that
+ * exist, or all emails matching the search criteria
+ */
+async function selectBulkUids(imap, { uids, criteria }) {
+  if (!uids === !criteria) throw new Error("Provide either uids or criteria");
+
+  if (uids) {
+    const existing = await fetchMessageIds(imap, uids);
+    return {
+      uids: uids.filter((uid) => existing.has(uid)),
+      notFound: uids.filter((uid) => !existing.has(uid)),
+    };
+  }
+
+  const selected = new Set();
+  for (const set of buildSearchCriteria(criteria)) {
+    for (const uid of await searchEmails(imap, set)) selected.add(uid);
+  }
+  return { uids: [...selected].sort((a, b) => a - b), notFound: [] };
+}
+
+// MCP progress notification, only if the client asked for it (progressToken)
+async function reportProgress(extra, progress, total, message) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return;
+  try {
+    await extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, total, message },
+    });
+  } catch {
+    // Client gone, the operation itself continues
+  }
+}
+
+/**
+ * Run a bulk operation on a folder: select the UIDs (uids or criteria),
+ * enforce the cap, then call operation(batch) once per batch of
+ * config.bulkBatchSize UIDs. Failed batches are reported, the rest continues.
+ * With dryRun only the affected emails are returned.
+ *
+ * @param {Object} plan Response fields describing the operation (account, action, ...)
+ * @param {Function} [check] Validation against the opened mailbox, e.g. PERMANENTFLAGS
+ */
+async function runBulkOperation(imap, folder, selection, { dryRun, maxMessages, plan, extra, check }, operation) {
+  const box = await openMailbox(imap, folder, dryRun);
+  if (check) check(box);
+
+  const { uids, notFound } = await selectBulkUids(imap, selection);
+  const cap = maxMessages ?? config.bulkMaxMessages;
+
+  if (dryRun) {
+    return dryRunResponse(imap, [...uids, ...notFound], {
+      ...plan,
+      ...(uids.length > cap && { exceedsMaxMessages: cap }),
+    });
+  }
+
+  if (uids.length > cap) {
+    throw new Error(
+      `${uids.length} emails selected, more than the limit of ${cap}. Narrow the selection or set maxMessages to at least ${uids.length}`
+    );
+  }
+
+  const messageIds = await fetchMessageIds(imap, uids);
+  const batches = [];
+  let done = 0;
+
+  for (let i = 0; i < uids.length; i += config.bulkBatchSize) {
+    const batch = uids.slice(i, i + config.bulkBatchSize);
+    const entry = { batch: batches.length + 1, count: batch.length, firstUid: batch[0], lastUid: batch.at(-1) };
+    try {
+      await operation(batch);
+      entry.success = true;
+      done += batch.length;
+    } catch (error) {
+      entry.success = false;
+      entry.error = error.message;
+    }
+    batches.push(entry);
+
+    const message = `${plan.action} ${plan.account}/${folder}: batch ${entry.batch}, ${done}/${uids.length} email(s)`;
+    console.log(`[Bulk] ${message}${entry.error ? ` failed: ${entry.error}` : ""}`);
+    await reportProgress(extra, i + batch.length, uids.length, message);
+  }
+
+  releaseImap(imap);
+
+  const failed = uids.length - done;
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: failed === 0,
+            ...plan,
+            total: uids.length,
+            succeeded: done,
+            failed,
+            uids,
+            messageIds: uids.map((uid) => messageIds.get(uid)).filter(Boolean),
+            batches,
+            ...(notFound.length > 0 && { notFound }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+// ============================================================================
+// Mail Rules
+// ============================================================================
+
+/**
+ * Execute one rule action on the matched UIDs (folder is selected read-write)
+ */
+async function runRuleAction(imap, account, folder, uids, action) {
+  const accountConfig = config.accounts[account];
+
+  switch (action.type) {
+    case "move": {
+      const target = await resolveFolder(imap, account, action.folder);
+      await moveEmail(imap, uids, target);
+      return { type: "move", folder: target, count: uids.length };
+    }
+    case "copy": {
+      const target = await resolveFolder(imap, account, action.folder);
+      await copyEmails(imap, uids, target);
+      return { type: "copy", folder: target, count: uids.length };
+    }
+    case "flag": {
+      await changeFlags(imap, uids, action);
+      return { type: "flag", add: action.add, remove: action.remove, count: uids.length };
+    }
+    case "delete": {
+      const trashFolder = action.permanent ? null : await findSpecialFolder(imap, accountConfig, "trash");
+      if (action.permanent || folder === trashFolder) {
+        await removeMessages(imap, uids);
+        return { type: "delete", permanent: true, count: uids.length };
+      }
+      await moveEmail(imap, uids, trashFolder);
+      return { type: "delete", folder: trashFolder, count: uids.length };
+    }
+    case "forward": {
+      let count = 0;
+      const queued = [];
+      for (const uid of uids) {
+        const raw = await fetchRawEmail(imap, uid);
+        if (!raw) continue;
+        const parsed = await simpleParser(raw);
+        const subject = forwardSubject(parsed.subject);
+        const built = await buildRawMessage({
+          from: identityFrom(resolveIdentity(accountConfig)),
+          to: action.to,
+          subject,
+          text: "Forwarded automatically by mail rule.",
+          attachments: [emlAttachment(parsed.subject, raw)],
+        });
+        // No Sent copy for automatic forwards; the outbox retries failed ones
+        // and sets $Forwarded once the email is out
+        const { entry, info } = await sendThroughOutbox(account, built, {
+          to: action.to,
+          subject,
+          saveToSent: false,
+          afterSend: { flag: { folder, uid, flags: ["$Forwarded"] } },
+        });
+        if (info) count++;
+        else queued.push(entry.id);
+      }
+      return { type: "forward", to: action.to, count, ...(queued.length > 0 && { queued }) };
+    }
+    default:
+      throw new Error(`Unknown rule action '${action.type}'`);
+  }
+}
+
+/**
+ * Apply rules in order to a folder. Messages moved or deleted by a rule are
+ * skipped by later rules. A failing rule is reported and the next one runs.
+ */
+async function applyRules(imap, account, folder, rules, { dryRun, limit }) {
+  const removed = new Set();
+  const report = [];
+
+  for (const rule of rules) {
+    const entry = { id: rule.id, name: rule.name, matched: 0, processed: 0, uids: [] };
+    report.push(entry);
+
+    try {
+      // Actions may select other folders (e.g. Trash lookup), so reopen per rule
+      await openMailbox(imap, folder, dryRun);
+
+      const matched = new Set();
+      for (const criteria of ruleCriteria(rule.conditions)) {
+        for (const uid of await searchEmails(imap, criteria)) {
+          if (!removed.has(uid)) matched.add(uid);
+        }
+      }
+
+      const uids = [...matched].sort((a, b) => a - b).slice(0, limit);
+      entry.matched = matched.size;
+      entry.processed = uids.length;
+      entry.uids = uids;
+      if (uids.length === 0) continue;
+
+      if (dryRun) {
+        entry.messages = (await fetchEmails(imap, uids)).map(summarizeEmail);
+        entry.actions = rule.actions;
+        continue;
+      }
+
+      entry.actions = [];
+      for (const action of rule.actions) {
+        entry.actions.push(await runRuleAction(imap, account, folder, uids, action));
+      }
+      if (rule.actions.some((action) => TERMINAL_ACTIONS.has(action.type))) {
+        uids.forEach((uid) => removed.add(uid));
+      }
+    } catch (error) {
+      entry.error = error.message;
+      console.error(`[Rules] Rule '${rule.id}' failed on ${account}/${folder}: ${error.message}`);
+    }
+  }
+
+  return report;
+}
+
+// ----------------------------------------------------------------------------
+// Tool: rules_list
+// ----------------------------------------------------------------------------
+registerTool(
+  "rules_list",
+  "List the mail rules of an account (applied in this order by rules_apply)",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+  },
+  async ({ account }) => {
+    try {
+      if (!config.accounts[account]) throw new Error(`Account '${account}' not configured`);
+      const rules = loadRules(account);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                rules,
+                count: rules.length,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: rules_upsert
+// ----------------------------------------------------------------------------
+registerTool(
+  "rules_upsert",
+  "Create or replace a mail rule (matched by id). Conditions use the imap_search fields plus olderThanDays/newerThanDays; actions: move, copy, flag, delete, forward",
+  {
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    rule: ruleSchema.describe("The rule"),
+    position: z
+      .number()
+      .int()
+      .nonnegative()
+      .optional()
+      .describe("Position in the rule order (default: keep position, new rules at the end)"),
+    dryRun: z.boolean().default(false).describe("Only validate the rule and report what would be saved, change nothing"),
+  },
+  async ({ account, rule, position, dryRun }, { permissions }) => {
+    try {
+      if (!config.accounts[account]) throw new Error(`Account '${account}' not configured`);
+      await checkRuleAccess(permissions, account, [rule]);
+      const rules = loadRules(account);
+
+      const existing = rules.findIndex((r) => r.id === rule.id);
+      const previous = existing >= 0 ? rules.splice(existing, 1)[0] : undefined;
+      const index = Math.min(position ?? (existing >= 0 ? existing : rules.length), rules.length);
+      if (dryRun) {
+        return dryRunPlanResponse({
+          account,
+          action: previous ? "update" : "create",
+          position: index,
+          rule,
+          ...(previous && { previous }),
+        });
+      }
+      rules.splice(index, 0, rule);
+
+      saveRules(account, rules);
+      console.log(`[Rules] ${existing >= 0 ? "Updated" : "Created"} rule '${rule.id}' for ${account}`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                account,
+                action: existing >= 0 ? "updated" : "created",
+                position: index,
+                rule,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
+      };
+    }
+  }
+);
+
+// ----------------------------------------------------------------------------
+// Tool: rules_delete
+// ----------------------------------------------------------------------------
+registerTool(
+  "rules_delete",
+  "Delete a mail rule",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    folder: z.string().default("INBOX").describe("Folder containing the email"),
-    uid: z.number().describe("Email UID to delete"),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    id: z.string().describe("Rule id (see rules_list)"),
+    dryRun: z.boolean().default(false).describe("Only report which rule would be deleted, change nothing"),
   },
-  async ({ account, folder, uid }) => {
-    let imap;
+  async ({ account, id, dryRun }) => {
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, folder, false);
+      if (!config.accounts[account]) throw new Error(`Account '${account}' not configured`);
+      const rules = loadRules(account);
 
-      await deleteEmail(imap, uid);
+      const index = rules.findIndex((r) => r.id === id);
+      if (index < 0) throw new Error(`Rule '${id}' not found`);
+      if (dryRun) return dryRunPlanResponse({ account, action: "delete", id, rule: rules[index] });
+      rules.splice(index, 1);
 
-      imap.end();
+      saveRules(account, rules);
+      console.log(`[Rules] Deleted rule '${id}' for ${account}`);
 
       return {
         content: [
@@ -543,8 +4822,7 @@ mcpServer.tool(
                 success: true,
                 account,
                 action: "deleted",
-                uid,
-                folder,
+                id,
               },
               null,
               2
@@ -553,7 +4831,6 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
       return {
         content: [
           {
@@ -567,37 +4844,47 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_bulk_move
+// Tool: rules_apply
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_bulk_move",
-  "Move multiple emails to a folder",
+registerTool(
+  "rules_apply",
+  "Run the account's mail rules against a folder. With dryRun = true only reports which emails each rule would match and what it would do",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    sourceFolder: z.string().default("INBOX").describe("Source folder"),
-    uids: z.array(z.number()).describe("Array of email UIDs to move"),
-    targetFolder: z.string().describe("Target folder path"),
+    account: z.string().describe("Account key (see imap_list_accounts)"),
+    folder: z.string().default("INBOX").describe("Folder name or role alias (default: INBOX)"),
+    ruleIds: z
+      .array(z.string())
+      .optional()
+      .describe("Only these rules (also runs disabled ones); default: all enabled rules"),
+    dryRun: z.boolean().default(false).describe("Report matches without changing anything"),
+    limit: z.number().int().positive().default(200).describe("Max emails processed per rule"),
   },
-  async ({ account, sourceFolder, uids, targetFolder }) => {
+  async ({ account, folder, ruleIds, dryRun, limit }, { permissions }) => {
     let imap;
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, sourceFolder, false);
+      if (!config.accounts[account]) throw new Error(`Account '${account}' not configured`);
+      const allRules = loadRules(account);
 
-      const results = [];
-      for (const uid of uids) {
-        try {
-          await moveEmail(imap, uid, targetFolder);
-          results.push({ uid, success: true });
-        } catch (err) {
-          results.push({ uid, success: false, error: err.message });
-        }
+      let rules;
+      if (ruleIds) {
+        const unknown = ruleIds.filter((id) => !allRules.some((r) => r.id === id));
+        if (unknown.length > 0) throw new Error(`Unknown rule(s): ${unknown.join(", ")}`);
+        rules = allRules.filter((r) => ruleIds.includes(r.id));
+      } else {
+        rules = allRules.filter((r) => r.enabled);
       }
 
-      imap.end();
+      imap = await acquireImap(account);
+      folder = await resolveFolder(imap, account, folder);
+      // Saved rules may come from another key or predate a permissions reload
+      await checkRuleAccess(permissions, account, rules, imap);
+
+      const report = await applyRules(imap, account, folder, rules, { dryRun, limit });
 
-      const successCount = results.filter((r) => r.success).length;
+      releaseImap(imap);
+
+      const processed = report.reduce((sum, entry) => sum + entry.processed, 0);
+      console.log(`[Rules] Applied ${rules.length} rule(s) to ${account}/${folder}${dryRun ? " (dry run)" : ""}: ${processed} email(s)`);
 
       return {
         content: [
@@ -605,14 +4892,11 @@ mcpServer.tool(
             type: "text",
             text: JSON.stringify(
               {
-                success: true,
+                success: report.every((entry) => !entry.error),
                 account,
-                action: "bulk_move",
-                targetFolder,
-                total: uids.length,
-                succeeded: successCount,
-                failed: uids.length - successCount,
-                results,
+                folder,
+                dryRun,
+                rules: report,
               },
               null,
               2
@@ -621,7 +4905,7 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
+      if (imap) releaseImap(imap, error);
       return {
         content: [
           {
@@ -634,54 +4918,54 @@ mcpServer.tool(
   }
 );
 
+// Account/folder filter of the local index for the caller's permissions.
+// role: patterns are resolved up front; if an account is unreachable they
+// match nothing.
+async function indexFilter(permissions) {
+  const roles = {};
+  for (const account of Object.keys(permissions?.folders || {})) {
+    if (!isAccountAllowed(permissions, account) || !needsFolderRoles(permissions, account)) continue;
+    try {
+      roles[account] = await accountFolderRoles(account);
+    } catch (error) {
+      console.error(`[Index] Could not resolve folder roles of ${account}: ${error.message}`);
+    }
+  }
+  return (account, folder) =>
+    isAccountAllowed(permissions, account) &&
+    (folder === undefined || isFolderAllowed(permissions, account, folder, roles[account]));
+}
+
 // ----------------------------------------------------------------------------
-// Tool: imap_mark_unseen
+// Tool: index_search
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_mark_unseen",
-  "Mark emails as unseen/unread by removing the \\Seen flag",
+registerTool(
+  "index_search",
+  "Full-text search across all accounts in the local message index (fast, no IMAP round trip). Results may lag behind the server by the sync interval, see index_status",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    folder: z.string().default("INBOX").describe("Folder containing the emails"),
-    uids: z.array(z.number()).optional().describe("Array of email UIDs to mark unseen (if not provided, marks ALL emails in folder)"),
-    all: z.boolean().default(false).describe("Mark ALL emails in folder as unseen"),
+    query: z
+      .string()
+      .optional()
+      .describe("Words or \"exact phrases\" to find in subject, sender, recipients and body (all must match, 'rech*' = prefix)"),
+    accounts: z.array(z.string()).optional().describe("Only these accounts (default: all indexed)"),
+    folder: z.string().optional().describe("Only this folder path"),
+    from: z.string().optional().describe("Sender contains"),
+    to: z.string().optional().describe("To contains"),
+    subject: z.string().optional().describe("Subject contains"),
+    since: dateString.optional().describe("Date on or after (YYYY-MM-DD)"),
+    before: dateString.optional().describe("Date before (YYYY-MM-DD)"),
+    seen: z.boolean().optional().describe("true = read, false = unread"),
+    flagged: z.boolean().optional().describe("true = flagged, false = not flagged"),
+    sort: z.enum(["relevance", "date"]).default("relevance").describe("Sort by relevance (with query) or newest first"),
+    limit: z.number().int().positive().max(500).default(20).describe("Max number of results"),
   },
-  async ({ account, folder, uids, all }) => {
-    let imap;
+  async ({ query, ...filters }, { permissions }) => {
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, folder, false);
-
-      let targetUids = uids;
-
-      // If all=true or no UIDs provided, get all emails in folder
-      if (all || !uids || uids.length === 0) {
-        targetUids = await searchEmails(imap, ["ALL"]);
-      }
-
-      if (!targetUids || targetUids.length === 0) {
-        imap.end();
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                success: true,
-                account,
-                folder,
-                message: "No emails to mark as unseen",
-                count: 0,
-              }),
-            },
-          ],
-        };
+      if (!isIndexEnabled()) {
+        throw new Error("Local index is disabled. Enable it per account with 'index:' in the accounts file");
       }
 
-      // Remove \Seen flag from all target UIDs
-      await removeFlags(imap, targetUids, ["\\Seen"]);
-
-      imap.end();
+      const results = await searchIndex({ text: query, ...filters }, await indexFilter(permissions));
 
       return {
         content: [
@@ -690,11 +4974,9 @@ mcpServer.tool(
             text: JSON.stringify(
               {
                 success: true,
-                account,
-                folder,
-                action: "marked_unseen",
-                count: targetUids.length,
-                uids: targetUids.length <= 50 ? targetUids : `${targetUids.length} emails (list truncated)`,
+                query: query || null,
+                returned: results.length,
+                results,
               },
               null,
               2
@@ -703,7 +4985,6 @@ mcpServer.tool(
         ],
       };
     } catch (error) {
-      if (imap) imap.end();
       return {
         content: [
           {
@@ -717,196 +4998,69 @@ mcpServer.tool(
 );
 
 // ----------------------------------------------------------------------------
-// Tool: imap_read_email
+// Tool: index_status
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "imap_read_email",
-  "Read the full content of an email by UID (body, headers, attachments info)",
-  {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    folder: z.string().default("INBOX").describe("Folder containing the email"),
-    uid: z.number().describe("Email UID to read"),
-  },
-  async ({ account, folder, uid }) => {
-    let imap;
+registerTool(
+  "index_status",
+  "Show the sync state of the local message index per account and folder (messages, last UID, last sync, progress of a running sync)",
+  {},
+  async (args, { permissions }) => {
     try {
-      imap = createImapConnection(account);
-      await connectImap(imap);
-      await openMailbox(imap, folder, true);
-
-      // Fetch the full email (headers + body)
-      const rawEmail = await new Promise((resolve, reject) => {
-        const fetch = imap.fetch([uid], { bodies: "", struct: true });
-        let emailBuffer = "";
-
-        fetch.on("message", (msg) => {
-          msg.on("body", (stream) => {
-            stream.on("data", (chunk) => (emailBuffer += chunk.toString("utf8")));
-          });
-        });
-
-        fetch.once("error", (err) => reject(err));
-        fetch.once("end", () => resolve(emailBuffer));
-      });
-
-      if (!rawEmail) {
-        imap.end();
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify({ success: false, error: `Email with UID ${uid} not found in ${folder}` }),
-          }],
-        };
-      }
-
-      // Parse with mailparser
-      const parsed = await simpleParser(rawEmail);
-
-      imap.end();
-
-      // Build response with text body, HTML body, and attachment metadata
-      const result = {
-        success: true,
-        account,
-        folder,
-        uid,
-        from: parsed.from?.text || "",
-        to: parsed.to?.text || "",
-        cc: parsed.cc?.text || "",
-        subject: parsed.subject || "",
-        date: parsed.date?.toISOString() || "",
-        messageId: parsed.messageId || "",
-        text: parsed.text || "",
-        html: parsed.html || "",
-        attachments: (parsed.attachments || []).map((a) => ({
-          filename: a.filename,
-          contentType: a.contentType,
-          size: a.size,
-        })),
-      };
-
-      // Truncate very large bodies to avoid overwhelming responses
-      if (result.text.length > 50000) {
-        result.text = result.text.substring(0, 50000) + "\n\n[... truncated, total length: " + parsed.text.length + " chars]";
-      }
-      if (result.html && result.html.length > 50000) {
-        result.html = result.html.substring(0, 50000) + "\n\n[... truncated]";
-      }
+      const status = isIndexEnabled()
+        ? { enabled: true, ...(await getIndexStatus(await indexFilter(permissions))) }
+        : { enabled: false };
 
       return {
-        content: [{
-          type: "text",
-          text: JSON.stringify(result, null, 2),
-        }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: true, ...status }, null, 2),
+          },
+        ],
       };
     } catch (error) {
-      if (imap) imap.end();
       return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({ success: false, error: error.message }),
-        }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ success: false, error: error.message }),
+          },
+        ],
       };
     }
   }
 );
 
-// ============================================================================
-// SMTP Helper Functions
-// ============================================================================
-
-/**
- * Create SMTP transporter for an account
- */
-function createSmtpTransporter(accountKey) {
-  const accounts = config.accounts;
-  const account = accounts[accountKey];
-
-  if (!account || !account.user || !account.password) {
-    throw new Error(`Account '${accountKey}' not configured`);
-  }
-
-  if (!account.smtp) {
-    throw new Error(`SMTP not configured for account '${accountKey}'`);
-  }
-
-  return nodemailer.createTransport({
-    host: account.smtp.host,
-    port: account.smtp.port,
-    secure: account.smtp.secure,
-    auth: {
-      user: account.user,
-      pass: account.password,
-    },
-  });
-}
-
 // ----------------------------------------------------------------------------
-// Tool: smtp_send_email
+// Tool: audit_query
 // ----------------------------------------------------------------------------
-mcpServer.tool(
-  "smtp_send_email",
-  "Send an email via SMTP",
+registerTool(
+  "audit_query",
+  "Query the audit log of mutating tool calls (who moved, deleted or sent what, and when). Newest entries first",
   {
-    account: z.string().describe("Account key: onecom, gmx, or gmail"),
-    to: z.string().describe("Recipient email address"),
-    subject: z.string().describe("Email subject"),
-    text: z.string().optional().describe("Plain text body"),
-    html: z.string().optional().describe("HTML body (optional, if provided will be used instead of text)"),
-    cc: z.string().optional().describe("CC recipients (comma-separated)"),
-    bcc: z.string().optional().describe("BCC recipients (comma-separated)"),
-    replyTo: z.string().optional().describe("Reply-to address"),
+    user: z.string().optional().describe("API user (from MCP_API_KEYS)"),
+    account: z.string().optional().describe("Account key"),
+    tool: z.string().optional().describe("Tool name, e.g. 'imap_delete_email'"),
+    folder: z.string().optional().describe("Source or target folder"),
+    uid: z.number().optional().describe("Email UID"),
+    messageId: z.string().optional().describe("Message-ID of an affected email"),
+    success: z.boolean().optional().describe("Only successful (true) or failed (false) calls"),
+    since: z.string().optional().describe("ISO timestamp, entries at or after"),
+    until: z.string().optional().describe("ISO timestamp, entries before"),
+    limit: z.number().int().positive().default(100).describe("Max entries (default: 100)"),
   },
-  async ({ account, to, subject, text, html, cc, bcc, replyTo }) => {
-    console.log(`[SMTP] Sending email to ${to} via ${account} (subject: ${subject})`);
+  async (filter) => {
     try {
-      const transporter = createSmtpTransporter(account);
-      const accountConfig = config.accounts[account];
-
-      const mailOptions = {
-        from: `"Dirk Schulenburg" <${accountConfig.user}>`,
-        to,
-        subject,
-        text: text || "",
-        html: html || undefined,
-        cc: cc || undefined,
-        bcc: bcc || undefined,
-        replyTo: replyTo || undefined,
-      };
-
-      // Timeout to prevent hanging on blocked ports
-      const sendWithTimeout = Promise.race([
-        transporter.sendMail(mailOptions),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("SMTP timeout after 15s - check port/firewall")), 15000)
-        ),
-      ]);
-
-      const info = await sendWithTimeout;
-      console.log(`[SMTP] Email sent successfully to ${to} (messageId: ${info.messageId})`);
-
+      const entries = queryAudit(filter);
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(
-              {
-                success: true,
-                account,
-                messageId: info.messageId,
-                to,
-                subject,
-                accepted: info.accepted,
-                rejected: info.rejected,
-              },
-              null,
-              2
-            ),
+            text: JSON.stringify({ success: true, entries, count: entries.length }, null, 2),
           },
         ],
       };
     } catch (error) {
-      console.error(`[SMTP] Failed to send email to ${to}: ${error.message}`);
       return {
         content: [
           {
@@ -919,6 +5073,86 @@ mcpServer.tool(
   }
 );
 
+// ============================================================================
+// Per-User MCP Servers
+// ============================================================================
+
+// Accounts/folders a tool call touches (undo tokens carry their own targets)
+function toolTargets(name, args) {
+  const targets = collectTargets(args);
+  if (name === "imap_undo") {
+    try {
+      const state = decodeUndoToken(args.token);
+      targets.push({ account: state.account, folder: state.folder });
+      targets.push({ account: state.account, folder: state.restoreTo });
+    } catch {
+      // Invalid token, reported by the tool itself
+    }
+  }
+  return targets;
+}
+
+// JSON payload of a tool response (first text item), null if not JSON
+function parseToolResult(result) {
+  try {
+    return JSON.parse(result.content[0].text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build an McpServer with the tools allowed for the given permissions.
+ * Account/folder arguments are checked before the tool runs; handlers get
+ * the permissions as `extra.permissions` to filter list results.
+ */
+function createMcpServer(permissions) {
+  const server = new McpServer({
+    name: "imap-mcp",
+    version: "1.0.0",
+  });
+
+  for (const { name, description, paramsShape, handler } of toolRegistry) {
+    if (!isToolAllowed(permissions, name)) continue;
+
+    server.tool(name, description, paramsShape, async (args, extra) => {
+      let result;
+      try {
+        for (const target of toolTargets(name, args)) await checkAccess(permissions, target);
+      } catch (error) {
+        console.log(`[Auth] ${permissions.user}: ${error.message} (${name})`);
+        result = {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({ success: false, error: error.message }),
+            },
+          ],
+        };
+      }
+      result ??= await handler(args, { ...extra, permissions });
+
+      if (isAudited(name)) {
+        recordAudit({ user: extra.authInfo?.clientId, tool: name, args, result: parseToolResult(result) });
+      }
+      return result;
+    });
+  }
+
+  return server;
+}
+
+// API user -> McpServer (users without permissions entry share one)
+const mcpServers = new Map();
+onPermissionsReload(() => mcpServers.clear());
+
+function getMcpServer(apiUser) {
+  const permissions = getPermissions(apiUser);
+  const key = permissions ? apiUser : "*";
+  if (!mcpServers.has(key)) mcpServers.set(key, createMcpServer(permissions));
+  return mcpServers.get(key);
+}
+
 // ============================================================================
 // HTTP Endpoints
 // ============================================================================
@@ -940,6 +5174,7 @@ app.get("/version", (req, res) => {
     version: "1.0.0",
     node: process.version,
     accounts: getConfiguredAccounts().map((a) => a.key),
+    imapPool: getPoolStats(),
   });
 });
 
@@ -957,6 +5192,40 @@ app.get("/accounts", (req, res) => {
   });
 });
 
+// Status of the new-mail watchers (IDLE + webhooks)
+app.get("/watchers", requireApiKey, (req, res) => {
+  const watchers = getWatcherStatus();
+  res.json({
+    success: true,
+    watchers,
+    count: watchers.length,
+  });
+});
+
+// Audit log (same filters as audit_query), only for keys with the admin group
+// listed explicitly in PERMISSIONS_FILE
+app.get("/audit", requireApiKey, (req, res) => {
+  if (!isToolAllowed(getPermissions(req.apiUser), "audit_query")) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden: audit access requires the admin group for this API key in PERMISSIONS_FILE",
+    });
+  }
+
+  const { user, account, tool, folder, messageId, since, until } = req.query;
+  const filter = { user, account, tool, folder, messageId, since, until };
+  if (req.query.uid !== undefined) filter.uid = Number(req.query.uid);
+  if (req.query.success !== undefined) filter.success = req.query.success === "true";
+  if (req.query.limit !== undefined) filter.limit = Number(req.query.limit) || 100;
+
+  try {
+    const entries = queryAudit(filter);
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Test connection to an account
 app.get("/test/:account", async (req, res) => {
   const { account } = req.params;
@@ -994,7 +5263,7 @@ app.all("/mcp", requireApiKey, async (req, res) => {
     const transport = new StreamableHTTPServerTransport({
       sessionIdGenerator: undefined,
     });
-    await mcpServer.connect(transport);
+    await getMcpServer(req.apiUser).connect(transport);
     await transport.handleRequest(req, res, req.body);
   } catch (error) {
     console.error("MCP error:", error);
@@ -1014,4 +5283,19 @@ app.listen(config.port, () => {
   const accounts = getConfiguredAccounts();
   console.log(`\nConfigured accounts: ${accounts.length}`);
   accounts.forEach((a) => console.log(`  - ${a.key}: ${a.user}`));
+
+  startWatchers();
+  startIndexer();
+  startOutbox(deliverOutboxEntry);
 });
+
+// Graceful shutdown: offene IMAP-Sessions sauber ausloggen
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, async () => {
+    stopAllWatchers();
+    stopOutbox();
+    await stopIndexer();
+    closeAllImapSessions();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Mail-Vorlagen (template_*, smtp_send_merge)
+ *
+ * Vorlagen werden als JSON in DATA_DIR/templates.json gespeichert und gelten
+ * für alle Accounts. Platzhalter in subject/text/html werden aus den Daten
+ * eines Empfängers ersetzt:
+ *
+ *   {{name}}            Wert (im HTML escaped)
+ *   {{kind.vorname}}    verschachtelter Wert
+ *   {{anrede|Hallo}}    Standardwert, wenn der Wert fehlt
+ *   {{{tabelle}}}       Wert unverändert ins HTML übernehmen
+ *
+ * Fehlt ein Wert ohne Standardwert, schlägt das Rendern fehl (keine Mail
+ * mit "Liebe ,").
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { join } from "path";
+import { z } from "zod";
+import { config } from "./config.mjs";
+import { escapeHtml } from "./compose.mjs";
+
+export const templateSchema = z
+  .object({
+    id: z.string().regex(/^[a-z0-9_-]+$/i, "template id may only contain letters, digits, '_' and '-'"),
+    name: z.string().optional().describe("Description of the template"),
+    subject: z.string().min(1).describe("Subject with placeholders, e.g. 'Rechnung {{number}}'"),
+    text: z.string().optional().describe("Plain text body with placeholders"),
+    html: z.string().optional().describe("HTML body with placeholders (values are HTML-escaped, {{{x}}} inserts raw HTML)"),
+    identity: z.string().optional().describe("Default sender identity (see smtp_list_identities)"),
+  })
+  .refine((template) => template.text !== undefined || template.html !== undefined, {
+    message: "either 'text' or 'html' is required",
+  });
+
+const templatesFileSchema = z.array(templateSchema);
+
+// {{{pfad}}} oder {{pfad}} bzw. {{pfad|Standardwert}}
+const PLACEHOLDER = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function templatesFile() {
+  return join(config.dataDir, "templates.json");
+}
+
+/**
+ * Alle Vorlagen laden (leer, wenn noch keine gespeichert sind)
+ */
+export function loadTemplates() {
+  const file = templatesFile();
+  if (!existsSync(file)) return [];
+
+  const parsed = templatesFileSchema.safeParse(JSON.parse(readFileSync(file, "utf8")));
+  if (!parsed.success) {
+    throw new Error(`Invalid templates file ${file}: ${parsed.error.issues.map((i) => i.message).join("; ")}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Vorlagen speichern (atomar über temporäre Datei)
+ */
+export function saveTemplates(templates) {
+  const file = templatesFile();
+  mkdirSync(config.dataDir, { recursive: true });
+  writeFileSync(`${file}.tmp`, JSON.stringify(templates, null, 2) + "\n");
+  renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Vorlage per id laden, wirft wenn sie nicht existiert
+ */
+export function getTemplate(id) {
+  const template = loadTemplates().find((t) => t.id === id);
+  if (!template) throw new Error(`Template '${id}' not found`);
+  return template;
+}
+
+function lookup(data, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function fill(source, data, { html, missing }) {
+  return source.replace(PLACEHOLDER, (match, rawPath, path, fallback) => {
+    let value = lookup(data, rawPath || path);
+    if (value == null) {
+      if (fallback === undefined) {
+        missing.add(rawPath || path);
+        return match;
+      }
+      value = fallback.trim();
+    }
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return html && !rawPath ? escapeHtml(text) : text;
+  });
+}
+
+/**
+ * Pfade aller Platzhalter einer Vorlage (z.B. für template_list)
+ */
+export function templatePlaceholders(template) {
+  const paths = new Set();
+  for (const source of [template.subject, template.text, template.html]) {
+    for (const match of (source || "").matchAll(PLACEHOLDER)) paths.add(match[1] || match[2]);
+  }
+  return [...paths];
+}
+
+/**
+ * Vorlage mit den Daten eines Empfängers füllen. Wirft bei fehlenden Werten.
+ *
+ * @returns {{ subject, text, html }}
+ */
+export function renderTemplate(template, data = {}) {
+  const missing = new Set();
+  const rendered = {
+    // Zeilenumbrüche aus Daten dürfen keine Header erzeugen
+    subject: fill(template.subject, data, { html: false, missing }).replace(/[\r\n]+/g, " "),
+    text: template.text !== undefined ? fill(template.text, data, { html: false, missing }) : undefined,
+    html: template.html !== undefined ? fill(template.html, data, { html: true, missing }) : undefined,
+  };
+  if (missing.size > 0) {
+    throw new Error(`Missing value(s) for placeholder(s): ${[...missing].join(", ")}`);
+  }
+  return rendered;
+}
@@ -0,0 +1,129 @@
+/**
+ * Konversations-/Thread-Rekonstruktion
+ *
+ * Baut aus Message-ID, In-Reply-To und References einen geordneten
+ * Antwort-Baum (vereinfacht nach RFC 5256 REFERENCES).
+ */
+
+import { orChain } from "./search.mjs";
+
+/**
+ * Alle Message-IDs (<...>) aus einem Header-Wert extrahieren
+ */
+export function parseMessageIds(value = "") {
+  return String(value).match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Thread-relevante IDs einer Mail (fetchEmails-Format mit Headern)
+ */
+export function threadIdsOf(email) {
+  const [messageId] = parseMessageIds(email.headers["message-id"]);
+  const [inReplyTo] = parseMessageIds(email.headers["in-reply-to"]);
+  const references = parseMessageIds(email.headers.references);
+  return { messageId: messageId || null, inReplyTo: inReplyTo || null, references };
+}
+
+/**
+ * Suchkriterien für alle Mails, die eine der IDs als Message-ID tragen oder
+ * per References/In-Reply-To darauf verweisen. THREAD läuft damit nur über
+ * die Mails der Konversation statt über den ganzen Ordner.
+ */
+export function threadSearchCriteria(ids) {
+  const criteria = ids.flatMap((id) =>
+    ["MESSAGE-ID", "REFERENCES", "IN-REPLY-TO"].map((header) => ["HEADER", header, id])
+  );
+  return [orChain(criteria)];
+}
+
+/**
+ * UIDs des Threads aus einer IMAP THREAD-Antwort, der die gegebene UID enthält.
+ * Jeder Top-Level-Eintrag ist ein Thread (verschachtelte Listen = Verzweigungen).
+ */
+export function findThreadUids(threads, uid) {
+  const flatten = (node) => (Array.isArray(node) ? node.flatMap(flatten) : [Number(node)]);
+  for (const thread of threads || []) {
+    const uids = flatten(thread);
+    if (uids.includes(uid)) return uids;
+  }
+  return [uid];
+}
+
+/**
+ * Kurzer Textauszug ohne zitierte Zeilen und Signatur
+ */
+export function makeSnippet(text = "", length = 200) {
+  const lines = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    if (line.trim() === "--") break; // Signatur
+    if (/^\s*>/.test(line)) continue; // Zitat
+    if (/^On .+ wrote:$|^Am .+ schrieb .+:$/.test(line.trim())) continue;
+    lines.push(line);
+  }
+  const snippet = lines.join(" ").replace(/\s+/g, " ").trim();
+  return snippet.length > length ? `${snippet.slice(0, length)}…` : snippet;
+}
+
+function dateValue(message) {
+  const time = Date.parse(message.date || "");
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Thread-Baum aus Nachrichten bauen.
+ *
+ * @param {Array} messages Objekte mit messageId, inReplyTo, references, date, ...
+ * @returns {Array} Wurzelknoten (nach Datum sortiert), jeweils mit children
+ */
+export function buildThreadTree(messages) {
+  const nodes = new Map();
+  for (const message of messages) {
+    const key = message.messageId || `uid:${message.folder}:${message.uid}`;
+    // Dieselbe Mail in mehreren Ordnern (z.B. INBOX + Sent) nur einmal
+    if (!nodes.has(key)) nodes.set(key, { ...message, children: [] });
+  }
+
+  // Aus References-Ketten abgeleitete Eltern ([a, b, c] -> b hängt unter a),
+  // für Mails ohne eigene Threading-Header
+  const impliedParent = new Map();
+  for (const node of nodes.values()) {
+    const chain = node.references.filter((id) => nodes.has(id));
+    for (let i = 1; i < chain.length; i++) {
+      if (!impliedParent.has(chain[i])) impliedParent.set(chain[i], chain[i - 1]);
+    }
+  }
+
+  // Parent: In-Reply-To, sonst die letzte bekannte Referenz, sonst abgeleitet
+  const parentOf = new Map();
+  for (const [key, node] of nodes.entries()) {
+    const candidates = [node.inReplyTo, ...[...node.references].reverse(), impliedParent.get(key)];
+    const parentId = candidates.find((id) => id && id !== key && nodes.has(id));
+    if (parentId) parentOf.set(key, parentId);
+  }
+
+  // Zyklen (fehlerhafte Header) aufbrechen: Knoten wird dann Wurzel
+  const isAncestor = (key, start) => {
+    for (let id = start, steps = 0; id && steps <= nodes.size; id = parentOf.get(id), steps++) {
+      if (id === key) return true;
+    }
+    return false;
+  };
+
+  const roots = [];
+  for (const [key, node] of nodes.entries()) {
+    const parentId = parentOf.get(key);
+    if (parentId && !isAncestor(key, parentId)) {
+      nodes.get(parentId).children.push(node);
+    } else {
+      parentOf.delete(key);
+      roots.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => dateValue(a) - dateValue(b));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+  return sortNodes(roots);
+}
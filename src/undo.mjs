@@ -0,0 +1,42 @@
+/**
+ * Undo-Token für rückgängig machbare Aktionen (z.B. Löschen in den Papierkorb)
+ *
+ * Wie die Pagination-Cursor sind Tokens opake base64url-Strings ohne
+ * serverseitigen Zustand. Sie enthalten, wo die Mail jetzt liegt
+ * (Ordner, UID, UIDVALIDITY, Message-ID) und wohin sie zurück soll.
+ */
+
+const TOKEN_VERSION = 1;
+
+/**
+ * Undo-Token erzeugen
+ *
+ * @param {Object} state { action, account, folder, uid, uidvalidity, messageId, restoreTo }
+ */
+export function encodeUndoToken(state) {
+  return Buffer.from(JSON.stringify({ v: TOKEN_VERSION, ...state }), "utf8").toString("base64url");
+}
+
+/**
+ * Undo-Token dekodieren. Wirft bei ungültigen Tokens.
+ */
+export function decodeUndoToken(token) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid undo token");
+  }
+
+  const valid =
+    state &&
+    state.v === TOKEN_VERSION &&
+    typeof state.action === "string" &&
+    typeof state.account === "string" &&
+    typeof state.folder === "string" &&
+    typeof state.restoreTo === "string" &&
+    (typeof state.uid === "number" || typeof state.messageId === "string");
+  if (!valid) throw new Error("Invalid undo token");
+
+  return state;
+}
@@ -0,0 +1,356 @@
+/**
+ * Mail-Watcher mit Webhook-Benachrichtigung
+ *
+ * Überwacht pro Account die in `watch.folders` konfigurierten Ordner über
+ * eine eigene IMAP-Verbindung (nicht aus dem Pool, da IDLE die Verbindung
+ * dauerhaft belegt). Kann der Server kein IDLE, fragt node-imap per NOOP
+ * im Intervall WATCH_POLL_INTERVAL nach neuen Mails.
+ *
+ * Für jede neue Mail wird ein JSON-POST an die Webhooks gesendet:
+ *   { event: "mail.new", account, folder, uid, messageId, from, subject, date }
+ * Header:
+ *   X-Webhook-Id          stabil über Wiederholungen (Deduplizierung beim Empfänger)
+ *   X-Webhook-Timestamp   Unix-Zeit in Sekunden
+ *   X-Webhook-Signature   sha256=HMAC_SHA256(WEBHOOK_SECRET, "<timestamp>.<body>")
+ *
+ * Fehlgeschlagene Zustellungen werden mit wachsendem Abstand wiederholt.
+ *
+ * ENV:
+ *   WATCH_POLL_INTERVAL=60000      ms zwischen NOOPs ohne IDLE
+ *   WEBHOOK_MAX_ATTEMPTS=5         Zustellversuche pro Webhook
+ *   WEBHOOK_TIMEOUT=10000          ms pro Versuch
+ */
+
+import { createHmac } from "crypto";
+import Imap from "imap";
+import { config, onAccountsReload } from "./config.mjs";
+import { createImapConnection, connectImap } from "./imap-pool.mjs";
+
+const POLL_INTERVAL = Number(process.env.WATCH_POLL_INTERVAL || 60 * 1000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT || 10 * 1000);
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+
+// "account/folder" -> watcher
+const watchers = new Map();
+
+function openBox(imap, folder) {
+  return new Promise((resolve, reject) => {
+    imap.openBox(folder, true, (err, box) => {
+      if (err) reject(err);
+      else resolve(box);
+    });
+  });
+}
+
+function search(imap, criteria) {
+  return new Promise((resolve, reject) => {
+    imap.search(criteria, (err, uids) => {
+      if (err) reject(err);
+      else resolve(uids);
+    });
+  });
+}
+
+// Header der neuen Mails laden (ohne \Seen zu setzen)
+function fetchHeaders(imap, uids) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const fetch = imap.fetch(uids, { bodies: "HEADER.FIELDS (FROM SUBJECT DATE MESSAGE-ID)" });
+
+    fetch.on("message", (msg) => {
+      const message = { uid: null, headers: {} };
+      msg.on("body", (stream) => {
+        let buffer = "";
+        stream.on("data", (chunk) => (buffer += chunk.toString("utf8")));
+        stream.once("end", () => (message.headers = Imap.parseHeader(buffer)));
+      });
+      msg.once("attributes", (attrs) => (message.uid = attrs.uid));
+      msg.once("end", () => messages.push(message));
+    });
+
+    fetch.once("error", reject);
+    fetch.once("end", () => resolve(messages));
+  });
+}
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+// Nur Host loggen/anzeigen (URLs enthalten oft Tokens)
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+function signPayload(body, timestamp) {
+  return `sha256=${createHmac("sha256", config.webhookSecret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Payload an einen Webhook senden, bei Fehlern mit Backoff wiederholen
+ * (2s, 8s, 32s, ...). Läuft im Hintergrund, blockiert den Watcher nicht.
+ */
+function deliverWebhook(watcher, url, payload, attempt = 1) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "imap-mcp-watcher",
+    "x-webhook-event": payload.event,
+    "x-webhook-id": `${payload.account}/${payload.folder}/${watcher.uidvalidity}/${payload.uid}`,
+    "x-webhook-timestamp": String(timestamp),
+  };
+  if (config.webhookSecret) headers["x-webhook-signature"] = signPayload(body, timestamp);
+
+  watcher.stats.pending++;
+  fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT) })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      watcher.stats.delivered++;
+    })
+    .catch((error) => {
+      const target = hostOf(url);
+      if (attempt >= MAX_ATTEMPTS) {
+        watcher.stats.failed++;
+        watcher.lastWebhookError = `${target}: ${error.message}`;
+        console.error(`[Watcher] ${watcher.key}: webhook ${target} failed after ${attempt} attempts: ${error.message}`);
+        return;
+      }
+      const delay = 2000 * 4 ** (attempt - 1);
+      console.warn(`[Watcher] ${watcher.key}: webhook ${target} failed (${error.message}), retry in ${delay / 1000}s`);
+      setTimeout(() => deliverWebhook(watcher, url, payload, attempt + 1), delay).unref();
+    })
+    .finally(() => watcher.stats.pending--);
+}
+
+// ============================================================================
+// Watcher
+// ============================================================================
+
+/**
+ * Neue Mails seit lastUid melden. Aufrufe werden serialisiert, damit
+ * gleichzeitige "mail"-Events keine Doppelmeldungen erzeugen.
+ */
+function checkNewMail(watcher) {
+  watcher.checking = watcher.checking.then(async () => {
+    const { imap } = watcher;
+    if (!imap || imap.state !== "authenticated") return;
+
+    // "n:*" liefert immer mindestens die höchste UID, auch wenn sie kleiner ist
+    const uids = (await search(imap, [["UID", `${watcher.lastUid + 1}:*`]]))
+      .filter((uid) => uid > watcher.lastUid)
+      .sort((a, b) => a - b);
+    if (uids.length === 0) return;
+
+    const messages = await fetchHeaders(imap, uids);
+    messages.sort((a, b) => a.uid - b.uid);
+
+    for (const message of messages) {
+      const payload = {
+        event: "mail.new",
+        account: watcher.account,
+        folder: watcher.folder,
+        uid: message.uid,
+        messageId: message.headers["message-id"]?.[0] || null,
+        from: message.headers.from?.[0] || null,
+        subject: message.headers.subject?.[0] || null,
+        date: message.headers.date?.[0] || null,
+      };
+      for (const url of watcher.webhooks) deliverWebhook(watcher, url, payload);
+    }
+
+    watcher.lastUid = Math.max(watcher.lastUid, ...uids);
+    watcher.lastMailAt = new Date().toISOString();
+    watcher.stats.messages += uids.length;
+    console.log(`[Watcher] ${watcher.key}: ${uids.length} new message(s)`);
+  }).catch((error) => {
+    watcher.lastError = error.message;
+    console.error(`[Watcher] ${watcher.key}: ${error.message}`);
+  });
+  return watcher.checking;
+}
+
+function scheduleReconnect(watcher) {
+  if (watcher.stopped || watcher.reconnectTimer) return;
+  watcher.imap = null;
+  watcher.status = "reconnecting";
+
+  const delay = Math.min(5000 * 2 ** watcher.failures, MAX_RECONNECT_DELAY);
+  watcher.failures++;
+  watcher.reconnectTimer = setTimeout(() => {
+    watcher.reconnectTimer = null;
+    watcher.stats.reconnects++;
+    connectWatcher(watcher);
+  }, delay);
+  watcher.reconnectTimer.unref();
+}
+
+async function connectWatcher(watcher) {
+  watcher.status = "connecting";
+  let imap;
+
+  try {
+    imap = createImapConnection(watcher.account, {
+      keepalive: { interval: POLL_INTERVAL, idleInterval: 5 * 60 * 1000, forceNoop: false },
+    });
+    watcher.imap = imap;
+
+    imap.on("error", (err) => {
+      watcher.lastError = err.message;
+      console.error(`[Watcher] ${watcher.key}: ${err.message}`);
+    });
+    imap.once("close", () => {
+      if (watcher.imap === imap) scheduleReconnect(watcher);
+    });
+
+    await connectImap(imap);
+    const box = await openBox(imap, watcher.folder);
+
+    // Während des Verbindungsaufbaus gestoppt (Reload/Shutdown)
+    if (watcher.stopped) {
+      imap.end();
+      return;
+    }
+
+    // Nach einem Reconnect ab der zuletzt gemeldeten UID weitermachen,
+    // sonst (Start oder neue UIDVALIDITY) nur Mails ab jetzt melden
+    if (watcher.uidvalidity !== box.uidvalidity) {
+      watcher.uidvalidity = box.uidvalidity;
+      watcher.lastUid = box.uidnext ? box.uidnext - 1 : Math.max(0, ...(await search(imap, ["ALL"])));
+    }
+
+    imap.on("mail", () => checkNewMail(watcher));
+    imap.on("uidvalidity", () => imap.end()); // Reconnect setzt lastUid neu
+
+    watcher.mode = imap.serverSupports("IDLE") ? "idle" : "poll";
+    watcher.status = "watching";
+    watcher.connectedAt = new Date().toISOString();
+    watcher.failures = 0;
+    watcher.lastError = null;
+    console.log(`[Watcher] ${watcher.key}: watching (${watcher.mode}, last UID ${watcher.lastUid})`);
+
+    await checkNewMail(watcher);
+  } catch (error) {
+    watcher.lastError = error.message;
+    console.error(`[Watcher] ${watcher.key}: ${error.message}`);
+    try {
+      imap?.end();
+    } catch {
+      // Verbindung ist bereits weg
+    }
+    scheduleReconnect(watcher);
+  }
+}
+
+function startWatcher(accountKey, account, folder, webhooks) {
+  const watcher = {
+    key: `${accountKey}/${folder}`,
+    account: accountKey,
+    config: account,
+    folder,
+    webhooks,
+    status: "starting",
+    mode: null,
+    imap: null,
+    uidvalidity: null,
+    lastUid: 0,
+    checking: Promise.resolve(),
+    failures: 0,
+    reconnectTimer: null,
+    stopped: false,
+    connectedAt: null,
+    lastMailAt: null,
+    lastError: null,
+    lastWebhookError: null,
+    stats: { messages: 0, delivered: 0, failed: 0, pending: 0, reconnects: 0 },
+  };
+  watchers.set(watcher.key, watcher);
+  connectWatcher(watcher);
+}
+
+function stopWatcher(watcher) {
+  watcher.stopped = true;
+  watcher.status = "stopped";
+  clearTimeout(watcher.reconnectTimer);
+  watchers.delete(watcher.key);
+  const { imap } = watcher;
+  watcher.imap = null;
+  try {
+    imap?.end();
+  } catch {
+    // Verbindung ist bereits weg
+  }
+}
+
+/**
+ * Watcher an die aktuelle Account-Konfiguration anpassen: neue starten,
+ * entfernte stoppen, geänderte Accounts neu verbinden.
+ */
+export function syncWatchers() {
+  const wanted = new Map();
+  for (const [accountKey, account] of Object.entries(config.accounts)) {
+    if (!account.watch || !account.user || !account.password) continue;
+
+    const webhooks = account.watch.webhooks?.length ? account.watch.webhooks : config.webhookUrls;
+    if (webhooks.length === 0) {
+      console.warn(`[Watcher] ${accountKey}: no webhooks configured (watch.webhooks or WEBHOOK_URLS), not watching`);
+      continue;
+    }
+    for (const folder of account.watch.folders) {
+      wanted.set(`${accountKey}/${folder}`, { accountKey, account, folder, webhooks });
+    }
+  }
+
+  for (const watcher of [...watchers.values()]) {
+    const target = wanted.get(watcher.key);
+    if (!target || target.account !== watcher.config) stopWatcher(watcher);
+  }
+
+  for (const [key, { accountKey, account, folder, webhooks }] of wanted.entries()) {
+    if (!watchers.has(key)) startWatcher(accountKey, account, folder, webhooks);
+  }
+
+  if (watchers.size > 0 && !config.webhookSecret) {
+    console.warn("[Watcher] WEBHOOK_SECRET not set, webhook payloads are not signed");
+  }
+}
+
+/**
+ * Watcher starten und bei Änderungen der Accounts-Datei anpassen
+ */
+export function startWatchers() {
+  syncWatchers();
+  onAccountsReload(syncWatchers);
+}
+
+/**
+ * Alle Watcher beenden (Shutdown)
+ */
+export function stopAllWatchers() {
+  for (const watcher of [...watchers.values()]) stopWatcher(watcher);
+}
+
+/**
+ * Status aller Watcher für /watchers (Webhooks nur als Host)
+ */
+export function getWatcherStatus() {
+  return [...watchers.values()].map((w) => ({
+    account: w.account,
+    folder: w.folder,
+    status: w.status,
+    mode: w.mode,
+    lastUid: w.lastUid,
+    uidvalidity: w.uidvalidity,
+    connectedAt: w.connectedAt,
+    lastMailAt: w.lastMailAt,
+    lastError: w.lastError,
+    lastWebhookError: w.lastWebhookError,
+    webhooks: w.webhooks.map(hostOf),
+    ...w.stats,
+  }));
+}